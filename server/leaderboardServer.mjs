@@ -0,0 +1,132 @@
+// Stand-in leaderboard server for online high scores - small enough to run
+// on a classroom machine, no internet or packages needed:
+//
+//   npm run leaderboard-server
+//
+// LEADERBOARD_PORT (default 4000) and LEADERBOARD_DATA (a JSON file, default
+// server/leaderboard-data.json) change where it listens and what it keeps.
+// Every score is checked by re-running its replay with the game's own rules.
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+register('./srcHooks.mjs', import.meta.url);
+const { filterRecords } = await import('../src/highScores.js');
+const { isSameScore, verifyScore } = await import('../src/scoreVerification.js');
+
+const PORT = Number(process.env.LEADERBOARD_PORT) || 4000;
+const DATA_FILE = process.env.LEADERBOARD_DATA || fileURLToPath(new URL('./leaderboard-data.json', import.meta.url));
+const MAX_BODY = 1024 * 1024;
+
+// An error with the HTTP status to answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const loadRecords = () => {
+  if (!existsSync(DATA_FILE)) return [];
+  try {
+    const parsed = JSON.parse(readFileSync(DATA_FILE, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.log('Starting with no scores - could not read', DATA_FILE, error.message);
+    return [];
+  }
+};
+
+let records = loadRecords();
+
+// Write to a temporary file first so a crash can't leave half a file
+const saveRecords = () => {
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(records));
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+// The same game sent twice (a retry after a lost answer) is only kept once
+const findDuplicate = (record) => records.find(saved => isSameScore(saved, record));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(httpError(413, 'Score record is too big'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(httpError(400, 'Body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The game may be served from anywhere on the school network
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+};
+
+const listScores = (query) => {
+  const names = query.get('names');
+  const limit = Math.min(100, Math.max(1, Number(query.get('limit')) || 50));
+  return filterRecords(records, {
+    mode: query.get('mode') || 'all',
+    range: query.get('range') || 'all',
+    settings: query.get('settings') || 'all'
+  })
+    .filter(record => !names || names.split(',').includes(record.name))
+    .slice(0, limit);
+};
+
+const handleRequest = async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, null);
+    return;
+  }
+  if (req.method === 'GET' && url.pathname === '/health') {
+    send(res, 200, { ok: true, scores: records.length });
+    return;
+  }
+  if (req.method === 'GET' && url.pathname === '/scores') {
+    send(res, 200, { records: listScores(url.searchParams) });
+    return;
+  }
+  if (req.method === 'POST' && url.pathname === '/scores') {
+    const record = verifyScore(await readBody(req));
+    const duplicate = findDuplicate(record);
+    if (duplicate) {
+      send(res, 200, { record: duplicate });
+      return;
+    }
+    records = [...records, record];
+    saveRecords();
+    console.log(`Score from ${record.name}: ${record.score} (${record.mode})`);
+    send(res, 201, { record });
+    return;
+  }
+  throw httpError(404, 'Not found');
+};
+
+createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    if (!error.status) {
+      console.log('Leaderboard server error:', error);
+    }
+    send(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+  });
+}).listen(PORT, () => {
+  console.log(`Leaderboard server listening on http://localhost:${PORT} (${records.length} scores in ${DATA_FILE})`);
+});
@@ -0,0 +1,350 @@
+// Multiplayer server for online races - two players on different devices on
+// the same board. The server runs the game: it owns the tick and the food,
+// and the games only send their turns.
+//
+//   npm run multiplayer-server
+//
+// MULTIPLAYER_PORT (default 4001) changes where it listens.
+import { randomBytes } from 'node:crypto';
+import { createServer } from 'node:http';
+import { register } from 'node:module';
+import WebSocket from 'ws';
+
+register('./srcHooks.mjs', import.meta.url);
+const { changePlayerDirection, createArena, tickArena } = await import('../src/arenaEngine.js');
+const { DEFAULT_CONFIG, queueDirection } = await import('../src/snakeEngine.js');
+const { createRng, randomSeed } = await import('../src/random.js');
+const { validateSettings } = await import('../src/settings.js');
+const {
+  MAX_PLAYERS,
+  PROTOCOL_VERSION,
+  createLobbyCode,
+  encodeMessage,
+  isDirection,
+  normalizeLobbyCode,
+  normalizePlayerName,
+  parseMessage
+} = await import('../src/multiplayerProtocol.js');
+
+const PORT = Number(process.env.MULTIPLAYER_PORT) || 4001;
+const COUNTDOWN_SECONDS = 3;
+// How long a dropped player has to come back before they forfeit
+const RECONNECT_GRACE = 20000;
+// Connections that stop answering pings are closed
+const HEARTBEAT_INTERVAL = 10000;
+
+const lobbies = new Map();
+
+const send = (socket, type, body) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(encodeMessage(type, body));
+  }
+};
+
+const broadcast = (lobby, type, body) => {
+  lobby.players.forEach(player => send(player.socket, type, body));
+};
+
+const sendLobby = (lobby) => {
+  broadcast(lobby, 'lobby', {
+    code: lobby.code,
+    phase: lobby.phase,
+    players: lobby.players.map(({ id, name, ready, connected, wins }) => ({ id, name, ready, connected, wins })),
+    waitUntil: lobby.waitUntil
+  });
+};
+
+const stopTimer = (lobby) => {
+  clearTimeout(lobby.timer);
+  lobby.timer = null;
+};
+
+// One queued turn per player, then every snake moves
+const runTick = (lobby) => {
+  let arena = lobby.arena;
+  lobby.players.forEach(player => {
+    if (player.turns.length > 0) {
+      arena = changePlayerDirection(arena, player.id, player.turns[0]);
+      player.turns = player.turns.slice(1);
+    }
+  });
+
+  const { state } = tickArena(arena, lobby.rng);
+  lobby.arena = state;
+  broadcast(lobby, 'state', { arena: state });
+
+  if (state.gameOver) {
+    finishRound(lobby, state.winner);
+  } else {
+    lobby.timer = setTimeout(() => runTick(lobby), state.speed);
+  }
+};
+
+const finishRound = (lobby, winner) => {
+  stopTimer(lobby);
+  lobby.phase = 'results';
+  lobby.waitUntil = null;
+  lobby.players.forEach(player => {
+    player.ready = false;
+    player.turns = [];
+    if (player.id === winner) player.wins += 1;
+  });
+  broadcast(lobby, 'results', {
+    winner,
+    players: lobby.arena.players.map(({ id, name, score, cause }) => ({ id, name, score, cause }))
+  });
+  sendLobby(lobby);
+};
+
+// Count down, then start (or carry on with) the round on the board
+const startCountdown = (lobby) => {
+  stopTimer(lobby);
+  lobby.phase = 'countdown';
+  lobby.waitUntil = null;
+  sendLobby(lobby);
+
+  const count = (seconds) => {
+    if (seconds === 0) {
+      lobby.phase = 'playing';
+      sendLobby(lobby);
+      runTick(lobby);
+      return;
+    }
+    broadcast(lobby, 'countdown', { seconds });
+    lobby.timer = setTimeout(() => count(seconds - 1), 1000);
+  };
+  count(COUNTDOWN_SECONDS);
+};
+
+const startRound = (lobby) => {
+  lobby.rng = createRng(randomSeed());
+  lobby.arena = createArena(lobby.config, lobby.players.map(({ id, name }) => ({ id, name })), lobby.rng);
+  lobby.players.forEach(player => {
+    player.turns = [];
+  });
+  broadcast(lobby, 'state', { arena: lobby.arena });
+  startCountdown(lobby);
+};
+
+const addPlayer = (lobby, socket, name) => {
+  const id = lobby.players.some(player => player.id === 'p1') ? 'p2' : 'p1';
+  const player = {
+    id,
+    name,
+    token: randomBytes(16).toString('hex'),
+    socket,
+    ready: false,
+    connected: true,
+    wins: 0,
+    turns: [],
+    dropTimer: null
+  };
+  lobby.players = [...lobby.players, player].sort((a, b) => a.id.localeCompare(b.id));
+  socket.session = { lobby, player };
+  send(socket, 'joined', { code: lobby.code, playerId: id, token: player.token });
+  sendLobby(lobby);
+};
+
+// A player leaving mid-round forfeits it
+const removePlayer = (lobby, player) => {
+  clearTimeout(player.dropTimer);
+  if (['countdown', 'playing', 'waiting'].includes(lobby.phase)) {
+    lobby.arena = {
+      ...lobby.arena,
+      players: lobby.arena.players.map(racer => (
+        racer.id === player.id ? { ...racer, alive: false, cause: 'left' } : racer
+      ))
+    };
+    const other = lobby.players.find(racer => racer !== player);
+    finishRound(lobby, other ? other.id : null);
+  }
+
+  lobby.players = lobby.players.filter(racer => racer !== player);
+  if (player.socket) player.socket.session = null;
+  if (lobby.players.length === 0) {
+    stopTimer(lobby);
+    lobbies.delete(lobby.code);
+    return;
+  }
+  lobby.players.forEach(racer => {
+    racer.ready = false;
+  });
+  lobby.phase = 'lobby';
+  sendLobby(lobby);
+};
+
+// A dropped connection holds the player's place for a while. A race in
+// progress waits for them.
+const dropPlayer = (lobby, player) => {
+  player.connected = false;
+  player.socket = null;
+  if (['countdown', 'playing'].includes(lobby.phase)) {
+    stopTimer(lobby);
+    lobby.phase = 'waiting';
+    lobby.waitUntil = Date.now() + RECONNECT_GRACE;
+  }
+  player.dropTimer = setTimeout(() => removePlayer(lobby, player), RECONNECT_GRACE);
+  sendLobby(lobby);
+};
+
+const handlers = {
+  create: (socket, message) => {
+    const name = normalizePlayerName(message.name);
+    let settings;
+    try {
+      settings = validateSettings(message.settings);
+    } catch (error) {
+      throw new Error(`Board settings: ${error.message}`);
+    }
+    let code = createLobbyCode();
+    while (lobbies.has(code)) {
+      code = createLobbyCode();
+    }
+    const lobby = {
+      code,
+      // Races are plain snake - no map campaign or power-ups
+      config: { ...DEFAULT_CONFIG, ...settings, maps: null, powerUps: false },
+      phase: 'lobby',
+      players: [],
+      arena: null,
+      rng: null,
+      timer: null,
+      waitUntil: null
+    };
+    lobbies.set(code, lobby);
+    console.log(`Lobby ${code} opened by ${name}`);
+    addPlayer(lobby, socket, name);
+  },
+
+  join: (socket, message) => {
+    const name = normalizePlayerName(message.name);
+    const lobby = lobbies.get(normalizeLobbyCode(message.code));
+    if (!lobby) {
+      throw new Error('No lobby with that code - check it with the host');
+    }
+    if (lobby.players.length >= MAX_PLAYERS) {
+      throw new Error('That lobby is full');
+    }
+    if (lobby.players.some(player => player.name === name)) {
+      throw new Error(`Someone in that lobby is already called ${name}`);
+    }
+    addPlayer(lobby, socket, name);
+  },
+
+  rejoin: (socket, message) => {
+    const lobby = lobbies.get(normalizeLobbyCode(message.code));
+    const player = lobby && lobby.players.find(racer => racer.token === message.token);
+    if (!player) {
+      throw new Error('That game has ended');
+    }
+    clearTimeout(player.dropTimer);
+    if (player.socket && player.socket !== socket) {
+      player.socket.session = null;
+      player.socket.close();
+    }
+    player.socket = socket;
+    player.connected = true;
+    socket.session = { lobby, player };
+    send(socket, 'joined', { code: lobby.code, playerId: player.id, token: player.token });
+    if (lobby.arena) {
+      send(socket, 'state', { arena: lobby.arena });
+    }
+    // The race picks up again once everyone is back
+    if (lobby.phase === 'waiting' && lobby.players.every(racer => racer.connected)) {
+      startCountdown(lobby);
+    } else {
+      sendLobby(lobby);
+    }
+  },
+
+  ready: (socket, message, { lobby, player }) => {
+    if (lobby.phase !== 'lobby' && lobby.phase !== 'results') return;
+    player.ready = Boolean(message.ready);
+    if (lobby.players.length === MAX_PLAYERS && lobby.players.every(racer => racer.ready)) {
+      startRound(lobby);
+    } else {
+      sendLobby(lobby);
+    }
+  },
+
+  input: (socket, message, { lobby, player }) => {
+    if (!isDirection(message.direction) || !['countdown', 'playing'].includes(lobby.phase)) return;
+    const racer = lobby.arena.players.find(item => item.id === player.id);
+    if (racer.alive) {
+      player.turns = queueDirection(player.turns, racer.direction, message.direction);
+    }
+  },
+
+  leave: (socket, message, { lobby, player }) => {
+    removePlayer(lobby, player);
+  }
+};
+
+const handleMessage = (socket, text) => {
+  const message = parseMessage(text);
+  if (message.type === 'ping') {
+    send(socket, 'pong', { sent: message.sent });
+    return;
+  }
+
+  if (['create', 'join', 'rejoin'].includes(message.type)) {
+    if (message.version !== PROTOCOL_VERSION) {
+      throw new Error('This game and the server are different versions - reload the page');
+    }
+    if (socket.session) {
+      throw new Error('Already in a lobby');
+    }
+    handlers[message.type](socket, message);
+    return;
+  }
+
+  const handler = handlers[message.type];
+  if (!handler) {
+    throw new Error(`Unknown message: ${message.type}`);
+  }
+  if (!socket.session) {
+    throw new Error('Join a lobby first');
+  }
+  handler(socket, message, socket.session);
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`Snake multiplayer server - ${lobbies.size} ${lobbies.size === 1 ? 'lobby' : 'lobbies'} open\n`);
+});
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (socket) => {
+  socket.session = null;
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('message', (data) => {
+    try {
+      handleMessage(socket, data.toString());
+    } catch (error) {
+      send(socket, 'error', { message: error.message });
+    }
+  });
+  socket.on('close', () => {
+    if (socket.session) {
+      dropPlayer(socket.session.lobby, socket.session.player);
+    }
+  });
+});
+
+setInterval(() => {
+  wss.clients.forEach(socket => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`Multiplayer server listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,19 @@
+// Module hooks so Node can run the game's own rules from src/. Those files
+// are ES modules written for webpack: no "type": "module" and no file
+// extensions on relative imports.
+const srcUrl = new URL('../src/', import.meta.url).href;
+
+export const resolve = (specifier, context, nextResolve) => {
+  const fromSrc = context.parentURL && context.parentURL.startsWith(srcUrl);
+  if (fromSrc && specifier.startsWith('.') && !specifier.endsWith('.js')) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) => {
+  if (url.startsWith(srcUrl)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+};
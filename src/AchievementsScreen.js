@@ -0,0 +1,76 @@
+import React, { useRef } from 'react';
+import { useFocusTrap } from './accessibility';
+import { ACHIEVEMENTS, unlockedSkins } from './achievements';
+import { SKINS } from './skins';
+import { getSegmentColor } from './BoardPieces';
+
+// A few segments of a skin, drawn like the snake on the board
+const SkinPreview = ({ palette }) => (
+  <span className="inline-block mr-2">
+    {Array.from({ length: 6 }, (_, index) => (
+      <span
+        key={index}
+        className="inline-block rounded"
+        style={{ width: 14, height: 14, marginRight: 1, backgroundColor: getSegmentColor(index, palette) }}
+      />
+    ))}
+  </span>
+);
+
+// Achievement list and skin picker for the current player
+const AchievementsScreen = ({ progress, playerName, onSelectSkin, onClose }) => {
+  const available = unlockedSkins(progress);
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Achievements" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Achievements - {playerName}</h1>
+
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <ul>
+            {ACHIEVEMENTS.map(achievement => {
+              const unlockedAt = progress.unlocked[achievement.id];
+              return (
+                <li key={achievement.id} className="mb-2" style={{ opacity: unlockedAt ? 1 : 0.5 }}>
+                  <p className="font-bold">{unlockedAt ? '🏆' : '🔒'} {achievement.label}</p>
+                  <p className="text-sm">
+                    {achievement.description} - unlocks the {SKINS[achievement.skin].label} skin
+                    {unlockedAt ? ` (${new Date(unlockedAt).toLocaleDateString()})` : ''}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+          <p className="text-sm">Food eaten so far: {progress.foodEaten}</p>
+        </div>
+
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <h2 className="text-xl font-bold mb-2">Skins</h2>
+          {Object.keys(SKINS).map(skinId => {
+            const locked = !available.includes(skinId);
+            return (
+              <button
+                key={skinId}
+                onClick={() => onSelectSkin(skinId)}
+                disabled={locked}
+                className={`mb-1 px-2 py-1 rounded flex items-center w-full ${progress.skin === skinId ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}
+                style={{ opacity: locked ? 0.5 : 1 }}
+              >
+                <SkinPreview palette={SKINS[skinId].palette} />
+                {SKINS[skinId].label}{locked ? ' 🔒' : ''}
+              </button>
+            );
+          })}
+        </div>
+
+        <button onClick={onClose} className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsScreen;
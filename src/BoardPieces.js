@@ -0,0 +1,138 @@
+import React from 'react';
+import { POWER_UPS } from './powerUps';
+
+// Rainbow colors
+export const rainbowColors = [
+  '#FF0000', // Red
+  '#FF7F00', // Orange
+  '#FFFF00', // Yellow
+  '#00FF00', // Green
+  '#0000FF', // Blue
+  '#4B0082', // Indigo
+  '#9400D3'  // Violet
+];
+
+// A second rainbow for player two in versus mode - cool tones first
+export const oceanColors = [
+  '#00CED1', // Turquoise
+  '#1E90FF', // Dodger blue
+  '#7B68EE', // Slate blue
+  '#DA70D6', // Orchid
+  '#FF69B4', // Hot pink
+  '#7FFF00', // Chartreuse
+  '#20B2AA'  // Sea green
+];
+
+// Computer snakes get earthy stripes so they stand apart from the players
+export const botPalettes = [
+  ['#8B4513', '#CD853F', '#DEB887'], // Brown
+  ['#556B2F', '#9ACD32', '#6B8E23'], // Olive
+  ['#2F4F4F', '#A9A9A9', '#708090']  // Slate
+];
+
+// Get color for snake segment based on position
+export const getSegmentColor = (index, palette = rainbowColors) => {
+  return palette[index % palette.length];
+};
+
+// Learning mode labels shrink to fit three or four characters on a food
+export const choiceFontSize = (label, cellSize) => cellSize * (label.length > 2 ? 0.38 : 0.55);
+
+// Smooth rendering with CSS transitions for snake segments
+const getTransitionStyle = (speed) => {
+  // Calculate transition duration based on game speed
+  // Faster snake = shorter transition
+  const transitionDuration = `${speed * 0.8}ms`;
+  return {
+    transition: `left ${transitionDuration} linear, top ${transitionDuration} linear`
+  };
+};
+
+// Obstacles, food, learning mode choices, power-ups and snake segments,
+// positioned inside a relative board container. A ghost snake is drawn see-through. Hidden from screen
+// readers - they get the game through announcements.
+const BoardPieces = ({ snake, food, obstacles = [], choices = [], powerUp = null, ghost = false, cellSize, speed, palette = rainbowColors }) => (
+  <div aria-hidden="true">
+    {obstacles.map((wall, index) => (
+      <div
+        key={`wall-${index}`}
+        className="absolute"
+        style={{
+          width: cellSize,
+          height: cellSize,
+          left: wall.x * cellSize,
+          top: wall.y * cellSize,
+          backgroundColor: 'var(--wall)'
+        }}
+      />
+    ))}
+
+    {food && (
+      <div
+        className="absolute rounded-full"
+        style={{
+          width: cellSize - 2,
+          height: cellSize - 2,
+          left: food.x * cellSize + 1,
+          top: food.y * cellSize + 1,
+          backgroundColor: 'var(--food)'
+        }}
+      />
+    )}
+
+    {choices.map(choice => (
+      <div
+        key={`choice-${choice.x}-${choice.y}`}
+        className="absolute rounded-full flex items-center justify-center font-bold"
+        style={{
+          width: cellSize - 2,
+          height: cellSize - 2,
+          left: choice.x * cellSize + 1,
+          top: choice.y * cellSize + 1,
+          backgroundColor: 'var(--food)',
+          color: '#fff',
+          fontSize: choiceFontSize(choice.label, cellSize),
+          lineHeight: 1
+        }}
+      >
+        {choice.label}
+      </div>
+    ))}
+
+    {powerUp && (
+      <div
+        className="absolute rounded-full flex items-center justify-center"
+        style={{
+          width: cellSize - 2,
+          height: cellSize - 2,
+          left: powerUp.x * cellSize + 1,
+          top: powerUp.y * cellSize + 1,
+          backgroundColor: POWER_UPS[powerUp.type].color,
+          fontSize: cellSize * 0.55,
+          lineHeight: 1
+        }}
+        title={POWER_UPS[powerUp.type].label}
+      >
+        {POWER_UPS[powerUp.type].symbol}
+      </div>
+    )}
+
+    {snake.map((segment, index) => (
+      <div
+        key={index}
+        className="absolute rounded"
+        style={{
+          width: cellSize - 2,
+          height: cellSize - 2,
+          left: segment.x * cellSize + 1,
+          top: segment.y * cellSize + 1,
+          backgroundColor: getSegmentColor(index, palette),
+          opacity: ghost ? 0.45 : 1,
+          ...getTransitionStyle(speed)
+        }}
+      />
+    ))}
+  </div>
+);
+
+export default BoardPieces;
@@ -0,0 +1,151 @@
+import React, { forwardRef, useImperativeHandle, useLayoutEffect, useRef } from 'react';
+import { choiceFontSize, getSegmentColor, rainbowColors } from './BoardPieces';
+import { POWER_UPS } from './powerUps';
+import { themeColor } from './themes';
+
+// Older tablet browsers don't have canvas or a 2d context - they get the
+// DOM renderer instead
+export const isCanvasSupported = () => {
+  const canvas = document.createElement('canvas');
+  return Boolean(canvas.getContext && canvas.getContext('2d'));
+};
+
+// Rounded rectangle path - ctx.roundRect is too new for the classroom tablets
+const roundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+const drawCircle = (ctx, cell, cellSize, color) => {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc((cell.x + 0.5) * cellSize, (cell.y + 0.5) * cellSize, cellSize / 2 - 1, 0, Math.PI * 2);
+  ctx.fill();
+};
+
+// Where a segment is drawn part way through a move. Segment i slides from
+// where segment i was last tick; new tail segments grow out of the old tail.
+// Jumps longer than one cell (wrapping round the edge, a new map) aren't
+// animated.
+const segmentPosition = (snake, previous, index, progress) => {
+  const to = snake[index];
+  if (!previous || previous.length === 0) return to;
+
+  const from = previous[Math.min(index, previous.length - 1)];
+  if (Math.abs(to.x - from.x) + Math.abs(to.y - from.y) > 1) return to;
+
+  return {
+    x: from.x + (to.x - from.x) * progress,
+    y: from.y + (to.y - from.y) * progress
+  };
+};
+
+// Canvas version of BoardPieces for long snakes and big grids. It draws
+// straight from props without re-rendering; the game loop calls draw() every
+// animation frame so the snake glides between ticks.
+const CanvasBoard = forwardRef(({ snake, food, obstacles = [], choices = [], powerUp = null, ghost = false, gridSize, cellSize, speed, palette = rainbowColors }, ref) => {
+  const canvasRef = useRef(null);
+  const propsRef = useRef(null);
+  propsRef.current = { snake, food, obstacles, choices, powerUp, ghost, cellSize, speed, palette };
+
+  // The snake from the previous tick and when the current move started
+  const motionRef = useRef({ snake: null, previous: null, movedAt: 0 });
+
+  const draw = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext('2d');
+    if (!ctx) return;
+
+    const pieces = propsRef.current;
+    const { cellSize: size } = pieces;
+    const motion = motionRef.current;
+    const progress = pieces.speed > 0 ? Math.min(1, (Date.now() - motion.movedAt) / pieces.speed) : 1;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Same theme colors as the DOM pieces
+    ctx.fillStyle = themeColor(canvas, '--wall', '#2d3748');
+    pieces.obstacles.forEach(wall => {
+      ctx.fillRect(wall.x * size, wall.y * size, size, size);
+    });
+
+    if (pieces.food) {
+      drawCircle(ctx, pieces.food, size, themeColor(canvas, '--food', '#f56565'));
+    }
+
+    if (pieces.choices.length > 0) {
+      const foodColor = themeColor(canvas, '--food', '#f56565');
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      pieces.choices.forEach(choice => {
+        drawCircle(ctx, choice, size, foodColor);
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${choiceFontSize(choice.label, size)}px sans-serif`;
+        ctx.fillText(choice.label, (choice.x + 0.5) * size, (choice.y + 0.5) * size);
+      });
+    }
+
+    if (pieces.powerUp) {
+      const { color, symbol } = POWER_UPS[pieces.powerUp.type];
+      drawCircle(ctx, pieces.powerUp, size, color);
+      ctx.fillStyle = '#000';
+      ctx.font = `${size * 0.55}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(symbol, (pieces.powerUp.x + 0.5) * size, (pieces.powerUp.y + 0.5) * size);
+    }
+
+    // Tail first so the head ends up on top
+    ctx.globalAlpha = pieces.ghost ? 0.45 : 1;
+    for (let index = pieces.snake.length - 1; index >= 0; index--) {
+      const position = segmentPosition(pieces.snake, motion.previous, index, progress);
+      ctx.fillStyle = getSegmentColor(index, pieces.palette);
+      roundedRect(ctx, position.x * size + 1, position.y * size + 1, size - 2, size - 2, Math.min(4, size / 4));
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  };
+
+  useImperativeHandle(ref, () => ({ draw }));
+
+  // Start a new move whenever the engine hands us a new snake
+  useLayoutEffect(() => {
+    const motion = motionRef.current;
+    if (motion.snake !== snake) {
+      motionRef.current = { snake, previous: motion.snake, movedAt: Date.now() };
+    }
+  }, [snake]);
+
+  // Size the canvas for sharp edges on high-DPI screens
+  const width = gridSize * cellSize;
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(width * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }, [width]);
+
+  // Redraw on every change too, for boards that aren't animating
+  useLayoutEffect(() => {
+    draw();
+  });
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0"
+      style={{ width, height: width }}
+      aria-hidden="true"
+    />
+  );
+});
+
+export default CanvasBoard;
@@ -0,0 +1,124 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useFocusTrap } from './accessibility';
+import {
+  CONTROL_ACTIONS,
+  CONTROL_PRESETS,
+  DEFAULT_BINDINGS,
+  findControlPreset,
+  keyLabel,
+  validateBindings,
+  validateKey
+} from './controls';
+
+// Key binding screen for the current player - changes are only applied when saved
+const ControlsScreen = ({ bindings, playerName, onSave, onClose }) => {
+  const [draft, setDraft] = useState(bindings);
+  const [message, setMessage] = useState('');
+  // The action waiting for a key press, if any
+  const [listening, setListening] = useState(null);
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+  const preset = findControlPreset(draft);
+
+  // Catch the next key before anything else sees it - Escape cancels
+  // instead of closing the screen
+  useEffect(() => {
+    if (!listening) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setListening(null);
+        return;
+      }
+      try {
+        const key = validateKey(e.key);
+        setDraft(prev => ({ ...prev, [listening]: key }));
+        setMessage('');
+        setListening(null);
+      } catch (error) {
+        setMessage(error.message);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listening]);
+
+  const handleSave = () => {
+    try {
+      onSave(validateBindings(draft));
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Controls" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Controls - {playerName}</h1>
+
+        {/* Presets */}
+        <div className="mb-2 flex justify-center space-x-4">
+          {Object.keys(CONTROL_PRESETS).map(id => (
+            <button
+              key={id}
+              onClick={() => {
+                setDraft(CONTROL_PRESETS[id].bindings);
+                setMessage('');
+              }}
+              className={`px-4 py-2 rounded ${preset === id ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}
+            >
+              {CONTROL_PRESETS[id].label}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm mb-2">
+          {preset ? CONTROL_PRESETS[preset].label : 'Custom controls'} - click an action, then press its new key
+        </p>
+
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md">
+          {CONTROL_ACTIONS.map(action => (
+            <div key={action.id} className="mb-2 flex justify-between items-center">
+              {action.label}
+              <button
+                onClick={() => {
+                  setListening(action.id);
+                  setMessage('');
+                }}
+                className={`ml-2 px-4 py-2 rounded ${listening === action.id ? 'bg-yellow-500 text-white' : 'bg-gray-200 text-black'}`}
+                aria-label={`${action.label}: ${keyLabel(draft[action.id])}. Change key`}
+              >
+                {listening === action.id ? 'Press a key...' : keyLabel(draft[action.id])}
+              </button>
+            </div>
+          ))}
+          <p className="text-sm">Gamepads: d-pad or left stick to steer, Start to start and pause.</p>
+        </div>
+
+        {message && <p className="mt-2 text-red-500">{message}</p>}
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button onClick={handleSave} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Save
+          </button>
+          <button
+            onClick={() => {
+              setDraft(DEFAULT_BINDINGS);
+              setMessage('');
+            }}
+            className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+          >
+            Reset
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ControlsScreen;
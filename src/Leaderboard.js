@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import {
+  SCORE_MODES,
+  TIME_RANGES,
+  filterRecords,
+  formatPlayTime,
+  personalBest,
+  recordSettingsLabel
+} from './highScores';
+import { fetchScores } from './onlineLeaderboard';
+
+const shownRecords = 10;
+
+const SOURCES = [
+  { id: 'device', label: 'This Device' },
+  { id: 'everyone', label: 'Everyone' },
+  { id: 'friends', label: 'Friends' }
+];
+
+// High score table with mode tabs, time range and settings filters. The
+// player's best score in the current view is highlighted. With a leaderboard
+// server set up, the scores can come from everyone or just friends too.
+const Leaderboard = ({ records, initialMode = 'endless', playerName, onWatch, server = '', friends = [] }) => {
+  const [mode, setMode] = useState(initialMode);
+  const [range, setRange] = useState('all');
+  const [settingsFilter, setSettingsFilter] = useState('all');
+  const [source, setSource] = useState('device');
+  const [online, setOnline] = useState({ records: [], loading: false, error: '' });
+
+  // Show the table for the mode picked on the start screen
+  useEffect(() => {
+    setMode(initialMode);
+  }, [initialMode]);
+
+  const onlineSource = server !== '' && source !== 'device';
+  // The player is always on their own friends board
+  const friendNames = [...new Set([...friends, playerName].filter(Boolean))].join(',');
+
+  useEffect(() => {
+    if (!onlineSource) return;
+    let cancelled = false;
+    setOnline(current => ({ ...current, loading: true, error: '' }));
+    fetchScores(server, { mode, range, names: source === 'friends' ? friendNames.split(',') : null })
+      .then(fetched => {
+        if (!cancelled) setOnline({ records: fetched, loading: false, error: '' });
+      })
+      .catch(error => {
+        if (!cancelled) setOnline({ records: [], loading: false, error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [onlineSource, server, source, mode, range, friendNames]);
+
+  const shown = onlineSource ? online.records : records;
+  const settingsOptions = [...new Set(shown.map(recordSettingsLabel))];
+  const filtered = filterRecords(shown, { mode, range, settings: settingsFilter });
+  const best = personalBest(filtered, playerName);
+  const tabClass = (selected) => `px-2 py-1 rounded ${selected ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`;
+
+  return (
+    <div className="mt-3 w-full max-w-md">
+      <h2 className="text-xl font-bold mb-2">High Scores</h2>
+
+      {server !== '' && (
+        <div className="mb-2 flex justify-center space-x-4">
+          {SOURCES.map(item => (
+            <button key={item.id} onClick={() => setSource(item.id)} className={tabClass(source === item.id)}>
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="mb-2 flex flex-wrap justify-center gap-2">
+        {[{ id: 'all', label: 'All' }, ...SCORE_MODES].map(item => (
+          <button key={item.id} onClick={() => setMode(item.id)} className={tabClass(mode === item.id)}>
+            {item.label}
+          </button>
+        ))}
+      </div>
+      <div className="mb-2 flex justify-center space-x-4">
+        {TIME_RANGES.map(item => (
+          <button key={item.id} onClick={() => setRange(item.id)} className={tabClass(range === item.id)}>
+            {item.label}
+          </button>
+        ))}
+        <select
+          value={settingsFilter}
+          onChange={(e) => setSettingsFilter(e.target.value)}
+          className="px-2 py-1"
+          aria-label="Settings"
+        >
+          <option value="all">All settings</option>
+          {settingsOptions.map(label => (
+            <option key={label} value={label}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-gray-100 p-3 rounded">
+        {onlineSource && online.loading ? (
+          <p>Loading scores...</p>
+        ) : onlineSource && online.error ? (
+          <p className="text-red-500">{online.error}</p>
+        ) : filtered.length > 0 ? (
+          <ol className="list-decimal list-inside">
+            {filtered.slice(0, shownRecords).map((record, index) => (
+              <li
+                key={`${record.date}-${index}`}
+                className={`mb-1 ${record === best ? 'bg-yellow-100 font-bold' : ''}`}
+              >
+                {record.name}: {record.score} {record.score === 1 ? 'point' : 'points'}
+                {record === best && ' ★ Personal best'}
+                <span className="text-sm">
+                  {' '}({[
+                    recordSettingsLabel(record),
+                    record.level !== null && `level ${record.level}`,
+                    record.length !== null && `length ${record.length}`,
+                    record.playTime !== null && formatPlayTime(record.playTime),
+                    Date.parse(record.date) > 0 && record.day
+                  ].filter(Boolean).join(', ')})
+                </span>
+                {record.replay && (
+                  <button onClick={() => onWatch(record.replay)} className="ml-2 px-2 py-1 bg-gray-200 rounded">
+                    Watch
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p>{mode === 'daily' ? 'No daily scores yet. Everyone gets the same food today!' : 'No high scores yet. Play to set a record!'}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
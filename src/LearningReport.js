@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Most questions listed under "Needs practice" - the rest are counted
+const MAX_MISTAKES = 5;
+
+// How the learning session went, for parents and teachers on the game over
+// screen: questions done, right answers and the questions that had wrong
+// picks, with what was picked
+const LearningReport = ({ config, report }) => {
+  const shown = report.mistakes.slice(0, MAX_MISTAKES);
+  return (
+    <div className="mb-2 text-sm">
+      <p className="font-bold">{config.name} - {config.level}</p>
+      <p>
+        {report.answered} {report.answered === 1 ? 'question' : 'questions'} done, {report.firstTry} right first time
+      </p>
+      <p>
+        Accuracy: {report.accuracy === null ? 'no answers yet' : `${report.accuracy}% (${report.right} right, ${report.wrong} wrong)`}
+      </p>
+      {shown.length > 0 && (
+        <>
+          <p className="mt-1">Needs practice:</p>
+          <ul>
+            {shown.map((mistake, index) => (
+              <li key={index}>{mistake.text} - picked {mistake.missed.join(', ')}</li>
+            ))}
+          </ul>
+          {report.mistakes.length > shown.length && (
+            <p>and {report.mistakes.length - shown.length} more</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LearningReport;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useRef } from 'react';
+import BoardPieces from './BoardPieces';
+import { downloadFile, readFileText } from './download';
+import { BOARD_BACKGROUND } from './themes';
+import {
+  createBlankMap,
+  deleteSavedMap,
+  loadSavedMaps,
+  parseMap,
+  saveMap,
+  validateMap
+} from './levelMaps';
+
+const gridSizes = [10, 15, 20, 25, 30, 40];
+
+const tools = [
+  { id: 'wall', label: 'Wall' },
+  { id: 'erase', label: 'Erase' },
+  { id: 'start', label: 'Snake Start' }
+];
+
+const directionArrows = {
+  UP: '▲',
+  DOWN: '▼',
+  LEFT: '◀',
+  RIGHT: '▶'
+};
+
+const cellKey = (cell) => `${cell.x},${cell.y}`;
+
+const LevelEditor = ({ initialMap, boardSize, onPlay, onClose }) => {
+  const [map, setMap] = useState(() => initialMap || createBlankMap());
+  const [tool, setTool] = useState('wall');
+  const [savedMaps, setSavedMaps] = useState(() => loadSavedMaps());
+  const [message, setMessage] = useState('');
+  const paintingRef = useRef(false);
+  const boardRef = useRef(null);
+
+  const cellSize = boardSize / map.gridSize;
+
+  // Stop painting when the pointer is released anywhere on the page
+  useEffect(() => {
+    const stopPainting = () => {
+      paintingRef.current = false;
+    };
+    window.addEventListener('pointerup', stopPainting);
+    return () => window.removeEventListener('pointerup', stopPainting);
+  }, []);
+
+  // Apply the selected tool to the cell under the pointer
+  const paintAt = (e) => {
+    const rect = boardRef.current.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / cellSize);
+    const y = Math.floor((e.clientY - rect.top) / cellSize);
+    if (x < 0 || y < 0 || x >= map.gridSize || y >= map.gridSize) return;
+
+    const cell = { x, y };
+    setMap(prev => {
+      const isStart = prev.start.x === x && prev.start.y === y;
+      const walls = prev.walls.filter(wall => cellKey(wall) !== cellKey(cell));
+
+      switch (tool) {
+        case 'wall':
+          return isStart ? prev : { ...prev, walls: [...walls, cell] };
+        case 'erase':
+          return { ...prev, walls };
+        case 'start':
+          return { ...prev, walls, start: cell };
+        default:
+          return prev;
+      }
+    });
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    paintingRef.current = true;
+    paintAt(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (paintingRef.current && tool !== 'start') {
+      paintAt(e);
+    }
+  };
+
+  // Changing the grid size drops walls that no longer fit
+  const changeGridSize = (gridSize) => {
+    setMap(prev => {
+      const fits = (cell) => cell.x < gridSize && cell.y < gridSize;
+      return {
+        ...prev,
+        gridSize,
+        walls: prev.walls.filter(fits),
+        start: fits(prev.start) ? prev.start : { x: Math.floor(gridSize / 2), y: Math.floor(gridSize / 2) }
+      };
+    });
+  };
+
+  const handleSave = () => {
+    try {
+      setSavedMaps(saveMap(map));
+      setMessage(`Saved "${map.name}"`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleDelete = (name) => {
+    setSavedMaps(deleteSavedMap(name));
+    setMessage(`Deleted "${name}"`);
+  };
+
+  const handleExport = () => {
+    downloadFile(`${map.name.replace(/[^a-z0-9-_]+/gi, '-')}.json`, JSON.stringify(map, null, 2));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    readFileText(file)
+      .then(text => {
+        const name = file.name.replace(/\.[^.]+$/, '');
+        setMap(parseMap(text, name));
+        setMessage(`Imported "${file.name}"`);
+      })
+      .catch(error => {
+        console.log('Map import error:', error);
+        setMessage(error.message);
+      });
+  };
+
+  const handlePlay = () => {
+    try {
+      onPlay(validateMap(map));
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Level Editor</h1>
+
+        <div className="mb-2 flex justify-center items-center space-x-4">
+          <label>
+            Name{' '}
+            <input
+              type="text"
+              value={map.name}
+              onChange={(e) => setMap(prev => ({ ...prev, name: e.target.value }))}
+              className="px-2 py-1 border-2 border-gray-800"
+              maxLength={30}
+            />
+          </label>
+          <label>
+            Grid{' '}
+            <select
+              value={map.gridSize}
+              onChange={(e) => changeGridSize(Number(e.target.value))}
+              className="px-2 py-1"
+            >
+              {gridSizes.map(size => (
+                <option key={size} value={size}>{size} x {size}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="mb-2 flex justify-center space-x-4">
+          {tools.map(item => (
+            <button
+              key={item.id}
+              onClick={() => setTool(item.id)}
+              className={`px-4 py-2 rounded ${tool === item.id ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}
+            >
+              {item.label}
+            </button>
+          ))}
+          <select
+            value={map.direction}
+            onChange={(e) => setMap(prev => ({ ...prev, direction: e.target.value }))}
+            className="px-2 py-1"
+            aria-label="Start direction"
+          >
+            {Object.keys(directionArrows).map(dir => (
+              <option key={dir} value={dir}>{directionArrows[dir]} {dir}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Editing grid - rendered like #game-area */}
+        <div
+          ref={boardRef}
+          className="relative border-2 border-gray-800"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          style={{
+            width: map.gridSize * cellSize,
+            height: map.gridSize * cellSize,
+            backgroundImage: `linear-gradient(rgba(0, 0, 0, 0.08) 1px, transparent 1px), linear-gradient(90deg, rgba(0, 0, 0, 0.08) 1px, transparent 1px), ${BOARD_BACKGROUND}`,
+            backgroundSize: `${cellSize}px ${cellSize}px, ${cellSize}px ${cellSize}px, 100% 100%`,
+            touchAction: 'none',
+            cursor: 'crosshair'
+          }}
+        >
+          <BoardPieces snake={[map.start]} food={null} obstacles={map.walls} cellSize={cellSize} speed={0} />
+          <div
+            className="absolute flex items-center justify-center text-white pointer-events-none"
+            style={{
+              width: cellSize,
+              height: cellSize,
+              left: map.start.x * cellSize,
+              top: map.start.y * cellSize,
+              fontSize: cellSize * 0.6
+            }}
+          >
+            {directionArrows[map.direction]}
+          </div>
+        </div>
+
+        {message && <p className="mt-2">{message}</p>}
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button onClick={handlePlay} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Test Play
+          </button>
+          <button onClick={handleSave} className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded">
+            Save
+          </button>
+          <button onClick={handleExport} className="px-4 py-2 bg-gray-200 text-black rounded">
+            Export
+          </button>
+          <label className="px-4 py-2 bg-gray-200 text-black rounded cursor-pointer">
+            Import
+            <input type="file" accept="application/json,.json,.txt" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button
+            onClick={() => setMap(prev => ({ ...createBlankMap(prev.gridSize), name: prev.name }))}
+            className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+          >
+            Clear
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+            Close
+          </button>
+        </div>
+
+        {/* Saved maps */}
+        <div className="mt-3 w-full max-w-md">
+          <h2 className="text-xl font-bold mb-2">Saved Maps</h2>
+          <div className="bg-gray-100 p-3 rounded">
+            {savedMaps.length > 0 ? (
+              <ul>
+                {savedMaps.map(saved => (
+                  <li key={saved.name} className="mb-1">
+                    {saved.name} ({saved.gridSize} x {saved.gridSize})
+                    <button onClick={() => setMap(saved)} className="ml-2 px-2 py-1 bg-gray-200 rounded">
+                      Edit
+                    </button>
+                    <button onClick={() => onPlay(saved)} className="ml-2 px-2 py-1 bg-gray-200 rounded">
+                      Play
+                    </button>
+                    <button onClick={() => handleDelete(saved.name)} className="ml-2 px-2 py-1 bg-gray-200 rounded">
+                      Delete
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p>No saved maps yet. Paint some walls and press Save!</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LevelEditor;
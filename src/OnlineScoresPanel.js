@@ -0,0 +1,148 @@
+import React, { useRef, useState } from 'react';
+import { useFocusTrap } from './accessibility';
+import { MAX_FRIENDS, checkServer, normalizeServer } from './onlineLeaderboard';
+
+// Set up online high scores: which leaderboard server to use, who counts as
+// a friend, and scores still waiting to be sent
+const OnlineScoresPanel = ({ config, queueLength, syncMessage, onSave, onSendNow, onClose }) => {
+  const [serverDraft, setServerDraft] = useState(config.server);
+  const [friendName, setFriendName] = useState('');
+  const [message, setMessage] = useState('');
+  const [testing, setTesting] = useState(false);
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+
+  const handleSaveServer = () => {
+    try {
+      const server = normalizeServer(serverDraft);
+      setServerDraft(server);
+      onSave({ ...config, server });
+      setMessage(server ? 'Server saved' : 'Online scores turned off');
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleTest = () => {
+    let server;
+    try {
+      server = normalizeServer(serverDraft);
+    } catch (error) {
+      setMessage(error.message);
+      return;
+    }
+    if (!server) {
+      setMessage('Enter a server address first');
+      return;
+    }
+    setTesting(true);
+    setMessage('Checking...');
+    checkServer(server)
+      .then(body => setMessage(`Connected - the server has ${body.scores} ${body.scores === 1 ? 'score' : 'scores'}`))
+      .catch(error => setMessage(error.message))
+      .finally(() => setTesting(false));
+  };
+
+  const handleAddFriend = () => {
+    const name = friendName.trim();
+    if (name === '') return;
+    if (config.friends.includes(name)) {
+      setMessage(`${name} is already a friend`);
+      return;
+    }
+    if (config.friends.length >= MAX_FRIENDS) {
+      setMessage(`You can have up to ${MAX_FRIENDS} friends`);
+      return;
+    }
+    onSave({ ...config, friends: [...config.friends, name] });
+    setFriendName('');
+    setMessage('');
+  };
+
+  const handleRemoveFriend = (name) => {
+    onSave({ ...config, friends: config.friends.filter(friend => friend !== name) });
+  };
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Online scores" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Online Scores</h1>
+
+        {/* Server */}
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <h2 className="text-xl font-bold mb-2">Leaderboard Server</h2>
+          <input
+            type="text"
+            value={serverDraft}
+            onChange={(e) => setServerDraft(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+            placeholder="http://scores.school.lan:4000"
+            aria-label="Server address"
+          />
+          <p className="text-sm mb-2">Leave empty to keep scores on this device only.</p>
+          <button onClick={handleSaveServer} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Save
+          </button>
+          <button onClick={handleTest} disabled={testing} className="ml-2 px-4 py-2 bg-gray-200 rounded">
+            Test Connection
+          </button>
+          {message && <p className="mt-2" role="status">{message}</p>}
+        </div>
+
+        {/* Friends */}
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <h2 className="text-xl font-bold mb-2">Friends</h2>
+          {config.friends.length > 0 ? (
+            <ul className="mb-2">
+              {config.friends.map(name => (
+                <li key={name} className="mb-1">
+                  {name}
+                  <button onClick={() => handleRemoveFriend(name)} className="ml-2 px-2 py-1 bg-gray-200 rounded" aria-label={`Remove ${name}`}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mb-2">Add friends by name to see how you compare.</p>
+          )}
+          <input
+            type="text"
+            value={friendName}
+            onChange={(e) => setFriendName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddFriend()}
+            className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+            maxLength={15}
+            placeholder="Friend's name"
+            aria-label="Friend's name"
+          />
+          <button onClick={handleAddFriend} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Add Friend
+          </button>
+        </div>
+
+        {/* Waiting scores */}
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <h2 className="text-xl font-bold mb-2">Waiting to Send</h2>
+          <p className="mb-2">
+            {queueLength === 0
+              ? 'Every score has been sent.'
+              : `${queueLength} ${queueLength === 1 ? 'score is' : 'scores are'} waiting to be sent.`}
+          </p>
+          {syncMessage && <p className="mb-2">{syncMessage}</p>}
+          {queueLength > 0 && config.server && (
+            <button onClick={onSendNow} className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded">
+              Send Now
+            </button>
+          )}
+        </div>
+
+        <button onClick={onClose} className="mt-3 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OnlineScoresPanel;
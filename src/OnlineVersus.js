@@ -0,0 +1,308 @@
+import React, { useEffect, useRef, useState } from 'react';
+import BoardPieces, { oceanColors, rainbowColors } from './BoardPieces';
+import { deathMessages } from './VersusGame';
+import { useFocusTrap } from './accessibility';
+import {
+  SLOW_LATENCY,
+  loadMultiplayerServer,
+  normalizeMultiplayerServer,
+  saveMultiplayerServer,
+  useMultiplayer
+} from './multiplayer';
+import { LOBBY_CODE_LENGTH, MAX_NAME, normalizeLobbyCode, normalizePlayerName } from './multiplayerProtocol';
+import { BOARD_BACKGROUND } from './themes';
+
+const palettes = { p1: rainbowColors, p2: oceanColors };
+
+// Race a player on another device. One player opens a lobby and reads out
+// its code, the other joins with it, both ready up and the server runs the
+// round. Turns come in through SnakeGame's handleDirectionChange, which
+// hands them to directionRef while this screen is open.
+const OnlineVersus = ({ settings, boardSize, playerName, directionRef, onDirection, onSound, onClose }) => {
+  const {
+    status,
+    error,
+    playerId,
+    lobby,
+    arena,
+    countdown,
+    results,
+    latency,
+    createLobby,
+    joinLobby,
+    setReady,
+    sendDirection,
+    clearResults,
+    leave
+  } = useMultiplayer();
+  const [name, setName] = useState(playerName);
+  const [server, setServer] = useState(() => loadMultiplayerServer());
+  const [code, setCode] = useState('');
+  const [message, setMessage] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+
+  const phase = lobby ? lobby.phase : null;
+  const me = lobby && lobby.players.find(player => player.id === playerId);
+  const racing = phase === 'countdown' || phase === 'playing' || phase === 'waiting';
+
+  useEffect(() => {
+    directionRef.current = sendDirection;
+    return () => {
+      directionRef.current = null;
+    };
+  }, [directionRef, sendDirection]);
+
+  // Tick the reconnect timer while waiting for a dropped player
+  useEffect(() => {
+    if (phase !== 'waiting') return;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [phase]);
+
+  // Sounds for the start, our own food and the end of the round
+  useEffect(() => {
+    if (phase === 'playing') onSound('start');
+  }, [phase, onSound]);
+  const myScore = arena && playerId ? (arena.players.find(player => player.id === playerId) || { score: 0 }).score : 0;
+  useEffect(() => {
+    if (myScore > 0) onSound('eat');
+  }, [myScore, onSound]);
+  useEffect(() => {
+    if (results) onSound('gameOver');
+  }, [results, onSound]);
+
+  const start = (join) => {
+    try {
+      const playerNameChecked = normalizePlayerName(name);
+      const serverChecked = normalizeMultiplayerServer(server);
+      saveMultiplayerServer(serverChecked);
+      setMessage('');
+      if (join) {
+        joinLobby(serverChecked, normalizeLobbyCode(code), playerNameChecked);
+      } else {
+        createLobby(serverChecked, playerNameChecked, settings);
+      }
+    } catch (startError) {
+      setMessage(startError.message);
+    }
+  };
+
+  const cellSize = arena ? boardSize / arena.config.gridSize : 0;
+  const waitingFor = lobby && lobby.players.find(player => !player.connected);
+  const winner = results && results.players.find(player => player.id === results.winner);
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Online race" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Online Race</h1>
+
+        {/* Open or join a lobby */}
+        {!playerId && (
+          <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+            <label htmlFor="race-name" className="block mb-1">Your name</label>
+            <input
+              id="race-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+              maxLength={MAX_NAME}
+            />
+            <label htmlFor="race-server" className="block mb-1">Server</label>
+            <input
+              id="race-server"
+              type="text"
+              value={server}
+              onChange={(e) => setServer(e.target.value)}
+              className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+              placeholder="ws://192.168.1.20:4001"
+            />
+            <button
+              onClick={() => start(false)}
+              disabled={status === 'connecting'}
+              className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded w-full mb-3"
+            >
+              Open a Lobby
+            </button>
+            <label htmlFor="race-code" className="block mb-1">Or join with a lobby code</label>
+            <input
+              id="race-code"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              onKeyDown={(e) => e.key === 'Enter' && start(true)}
+              className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+              maxLength={LOBBY_CODE_LENGTH}
+              placeholder="ABCD"
+              autoComplete="off"
+            />
+            <button
+              onClick={() => start(true)}
+              disabled={status === 'connecting'}
+              className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded w-full"
+            >
+              Join Lobby
+            </button>
+            {status === 'connecting' && <p className="mt-2" role="status">Connecting...</p>}
+            {(message || error) && <p className="mt-2 text-red-500" role="alert">{message || error}</p>}
+          </div>
+        )}
+
+        {/* Ready-up screen */}
+        {playerId && lobby && !racing && !results && (
+          <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+            <p className="text-xl mb-2">Lobby code: <span className="font-bold">{lobby.code}</span></p>
+            {lobby.players.length < 2 && (
+              <p className="mb-2">Waiting for another player - tell them the code</p>
+            )}
+            <ul className="mb-2">
+              {lobby.players.map(player => (
+                <li key={player.id} className="mb-1" style={{ color: palettes[player.id][0] }}>
+                  {player.name}{player.id === playerId ? ' (you)' : ''}: {player.ready ? 'Ready' : 'Not ready'}
+                  {!player.connected && ' - reconnecting'}
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={() => setReady(!(me && me.ready))}
+              disabled={lobby.players.length < 2}
+              className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+            >
+              {me && me.ready ? 'Not Ready' : 'Ready'}
+            </button>
+          </div>
+        )}
+
+        {/* The race */}
+        {playerId && arena && (racing || results) && (
+          <>
+            <div className="mb-2 flex justify-between w-full max-w-md">
+              {arena.players.map(player => (
+                <p key={player.id} className="text-xl" style={{ color: palettes[player.id][0] }}>
+                  {player.name}: {player.score}
+                </p>
+              ))}
+            </div>
+
+            <div
+              className="relative border-2 border-gray-800"
+              style={{
+                width: arena.config.gridSize * cellSize,
+                height: arena.config.gridSize * cellSize,
+                background: BOARD_BACKGROUND
+              }}
+            >
+              {arena.players.map((player, index) => (
+                <div key={player.id} style={{ opacity: player.alive ? 1 : 0.3 }} aria-hidden="true">
+                  <BoardPieces
+                    snake={player.snake}
+                    food={index === 0 ? arena.food : null}
+                    obstacles={index === 0 ? arena.obstacles : []}
+                    cellSize={cellSize}
+                    speed={arena.speed}
+                    palette={palettes[player.id]}
+                  />
+                </div>
+              ))}
+
+              {phase === 'countdown' && countdown !== null && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+                  <p className="text-white text-xl" role="status">{countdown}</p>
+                </div>
+              )}
+
+              {phase === 'waiting' && waitingFor && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+                  <p className="text-white text-center" role="status">
+                    Waiting for {waitingFor.name} to reconnect ({Math.max(0, Math.ceil((lobby.waitUntil - now) / 1000))}s)
+                  </p>
+                </div>
+              )}
+
+              {status === 'reconnecting' && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+                  <p className="text-white text-center" role="status">Connection lost - reconnecting...</p>
+                </div>
+              )}
+
+              {/* Results */}
+              {results && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+                  <div className="text-white text-center" role="status">
+                    <p className="text-xl mb-2">
+                      {winner ? `${winner.id === playerId ? 'You win' : `${winner.name} wins`}!` : "It's a draw!"}
+                    </p>
+                    {results.players.map(player => (
+                      <p key={player.id} className="mb-1">
+                        {player.name}: {player.score} {player.score === 1 ? 'point' : 'points'}
+                        {player.cause ? ` - ${deathMessages[player.cause]}` : ' - survived'}
+                      </p>
+                    ))}
+                    {lobby && (
+                      <p className="text-sm mb-2">
+                        Rounds won - {lobby.players.map(player => `${player.name}: ${player.wins}`).join(', ')}
+                      </p>
+                    )}
+                    {lobby && lobby.players.length < 2 ? (
+                      <>
+                        <p className="mt-2">The other player left</p>
+                        <button
+                          onClick={clearResults}
+                          className="mt-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded"
+                        >
+                          Back to Lobby
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => setReady(!(me && me.ready))}
+                        className="mt-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded"
+                      >
+                        {me && me.ready ? 'Waiting for rematch...' : 'Rematch'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* On-screen controls, same as the single-player ones */}
+            <div className="mt-2 flex justify-center space-x-4">
+              {[['LEFT', '◀'], ['UP', '▲'], ['DOWN', '▼'], ['RIGHT', '▶']].map(([dir, arrow]) => (
+                <button
+                  key={dir}
+                  onClick={() => onDirection(dir)}
+                  className="px-4 py-2 bg-gray-200 rounded"
+                  aria-label={`Move ${dir.toLowerCase()}`}
+                >
+                  {arrow}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {playerId && latency !== null && (
+          <p className={`mt-2 text-sm ${latency > SLOW_LATENCY ? 'text-red-500' : ''}`}>
+            Ping: {latency} ms{latency > SLOW_LATENCY ? ' - slow connection, turns may feel late' : ''}
+          </p>
+        )}
+        {playerId && error && <p className="mt-2 text-red-500" role="alert">{error}</p>}
+
+        <button
+          onClick={() => {
+            leave();
+            onClose();
+          }}
+          className="mt-3 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded"
+        >
+          {playerId ? 'Leave Lobby' : 'Close'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OnlineVersus;
@@ -0,0 +1,112 @@
+import React, { useRef, useState } from 'react';
+import { useFocusTrap } from './accessibility';
+import StatsDashboard from './StatsDashboard';
+import { AVATAR_COLORS, addProfile, getActiveProfile, removeProfile, selectProfile } from './profiles';
+
+// Pick who is playing, add new players, and see the active player's stats
+const ProfilesScreen = ({ store, onChange, onClose }) => {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(AVATAR_COLORS[store.profiles.length % AVATAR_COLORS.length]);
+  const [message, setMessage] = useState('');
+  const activeProfile = getActiveProfile(store);
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+
+  const handleAdd = () => {
+    try {
+      onChange(addProfile(store, name, color));
+      setName('');
+      setMessage('');
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleDelete = (profile) => {
+    if (window.confirm(`Delete ${profile.name} and all of their stats?`)) {
+      onChange(removeProfile(store, profile.id));
+    }
+  };
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Players" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Players</h1>
+
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          {store.profiles.length > 0 ? (
+            <ul>
+              {store.profiles.map(profile => (
+                <li key={profile.id} className="mb-1 flex items-center">
+                  <span className="inline-block rounded-full mr-2" style={{ width: 20, height: 20, backgroundColor: profile.color }} />
+                  <span className={profile.id === store.activeId ? 'font-bold' : ''}>{profile.name}</span>
+                  {profile.id === store.activeId ? (
+                    <span className="ml-2 text-sm">Playing</span>
+                  ) : (
+                    <button onClick={() => onChange(selectProfile(store, profile.id))} className="ml-2 px-2 py-1 bg-blue-500 text-white rounded">
+                      Play as {profile.name}
+                    </button>
+                  )}
+                  <button onClick={() => handleDelete(profile)} className="ml-2 px-2 py-1 bg-gray-200 rounded">
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p>No players yet. Add one below!</p>
+          )}
+          {activeProfile && (
+            <button onClick={() => onChange(selectProfile(store, null))} className="mt-2 px-2 py-1 bg-gray-200 rounded">
+              Play as guest
+            </button>
+          )}
+        </div>
+
+        {/* New player */}
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md mb-3">
+          <h2 className="text-xl font-bold mb-2">New Player</h2>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-800 w-full mb-2"
+            maxLength={15}
+            placeholder="Name"
+            aria-label="Player name"
+          />
+          <div className="flex mb-2" role="radiogroup" aria-label="Avatar color">
+            {AVATAR_COLORS.map(option => (
+              <button
+                key={option}
+                onClick={() => setColor(option)}
+                className="rounded-full mr-2"
+                style={{
+                  width: 28,
+                  height: 28,
+                  backgroundColor: option,
+                  border: option === color ? '3px solid #000' : '3px solid transparent'
+                }}
+                role="radio"
+                aria-checked={option === color}
+                aria-label={option}
+              />
+            ))}
+          </div>
+          <button onClick={handleAdd} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Add Player
+          </button>
+          {message && <p className="mt-2 text-red-500">{message}</p>}
+        </div>
+
+        {activeProfile && <StatsDashboard profile={activeProfile} />}
+
+        <button onClick={onClose} className="mt-3 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProfilesScreen;
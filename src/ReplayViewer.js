@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useRef } from 'react';
+import BoardPieces from './BoardPieces';
+import CanvasBoard from './CanvasBoard';
+import { createReplayPlayer, serializeReplay } from './replay';
+import { downloadFile } from './download';
+import { effectiveSpeed } from './powerUps';
+import { BOARD_BACKGROUND } from './themes';
+
+const playbackSpeeds = [1, 2, 4];
+
+// Save a replay as a JSON file the player can share
+export const downloadReplay = (replay) => {
+  downloadFile(`snake-replay-${replay.seed}.json`, serializeReplay(replay));
+};
+
+const ReplayViewer = ({ replay, cellSize, renderer = 'dom', palette, onClose }) => {
+  const playerRef = useRef(null);
+  if (playerRef.current === null) {
+    playerRef.current = createReplayPlayer(replay);
+  }
+
+  const [frame, setFrame] = useState(() => playerRef.current.getState());
+  const [playing, setPlaying] = useState(true);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const done = frame.gameOver || (replay.endTick !== null && frame.tick >= replay.endTick);
+  const gridSize = replay.config.gridSize;
+  const boardRef = useRef(null);
+
+  // Advance one tick
+  const step = () => {
+    setFrame(playerRef.current.step());
+  };
+
+  // Rewind to the first tick
+  const restart = () => {
+    playerRef.current = createReplayPlayer(replay);
+    setFrame(playerRef.current.getState());
+    setPlaying(true);
+  };
+
+  // Playback loop - one tick per game speed interval, scaled by playback speed
+  useEffect(() => {
+    if (!playing || done) return;
+
+    const timeoutId = setTimeout(() => {
+      setFrame(playerRef.current.step());
+    }, effectiveSpeed(frame) / playbackSpeed);
+
+    return () => clearTimeout(timeoutId);
+  }, [playing, done, frame, playbackSpeed]);
+
+  // Keep the canvas snake gliding between ticks while playing
+  useEffect(() => {
+    if (!playing || done || renderer !== 'canvas') return;
+
+    let animationFrameId = null;
+    const drawLoop = () => {
+      if (boardRef.current) {
+        boardRef.current.draw();
+      }
+      animationFrameId = requestAnimationFrame(drawLoop);
+    };
+
+    animationFrameId = requestAnimationFrame(drawLoop);
+    return () => cancelAnimationFrame(animationFrameId);
+  }, [playing, done, renderer]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+      <div className="bg-white p-4 rounded text-center">
+        <h2 className="text-xl font-bold mb-2">Replay</h2>
+        <div className="mb-2 flex justify-between">
+          <p>Score: {frame.score}</p>
+          <p>Level: {frame.level}</p>
+          <p>Tick: {frame.tick}{replay.endTick !== null ? ` / ${replay.endTick}` : ''}</p>
+        </div>
+
+        <div
+          className="relative border-2 border-gray-800 mx-auto"
+          style={{
+            width: gridSize * cellSize,
+            height: gridSize * cellSize,
+            background: BOARD_BACKGROUND
+          }}
+        >
+          {renderer === 'canvas' ? (
+            <CanvasBoard ref={boardRef} snake={frame.snake} food={frame.food} obstacles={frame.obstacles} choices={frame.choices} powerUp={frame.powerUp} gridSize={gridSize} cellSize={cellSize} speed={effectiveSpeed(frame) / playbackSpeed} palette={palette} />
+          ) : (
+            <BoardPieces snake={frame.snake} food={frame.food} obstacles={frame.obstacles} choices={frame.choices} powerUp={frame.powerUp} cellSize={cellSize} speed={effectiveSpeed(frame) / playbackSpeed} palette={palette} />
+          )}
+          {done && (
+            <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+              <p className="text-xl font-bold">End of replay</p>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button
+            onClick={() => setPlaying(prev => !prev)}
+            disabled={done}
+            className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+          >
+            {playing && !done ? 'Pause' : 'Play'}
+          </button>
+          <button
+            onClick={step}
+            disabled={playing || done}
+            className="px-4 py-2 bg-gray-200 text-black rounded"
+          >
+            Step
+          </button>
+          <button
+            onClick={restart}
+            className="px-4 py-2 bg-gray-200 text-black rounded"
+          >
+            Restart
+          </button>
+        </div>
+
+        <div className="mt-2 flex justify-center space-x-4">
+          {playbackSpeeds.map(multiplier => (
+            <button
+              key={multiplier}
+              onClick={() => setPlaybackSpeed(multiplier)}
+              className={`px-2 py-1 rounded ${playbackSpeed === multiplier ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}
+            >
+              {multiplier}x
+            </button>
+          ))}
+        </div>
+
+        <p className="text-sm mt-2">Seed: {replay.seed}</p>
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button
+            onClick={() => downloadReplay(replay)}
+            className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+          >
+            Export
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -0,0 +1,130 @@
+import React, { useRef, useState } from 'react';
+import { useFocusTrap } from './accessibility';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_LIMITS,
+  SETTINGS_PRESETS,
+  SPEED_CURVE_OPTIONS,
+  findPreset,
+  validateSettings
+} from './settings';
+
+// Settings screen - changes are only applied when saved. Saving during a
+// game ends it.
+const SettingsPanel = ({ settings, inGame = false, onSave, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [message, setMessage] = useState('');
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true, onClose);
+  const preset = findPreset(draft);
+
+  const updateField = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setMessage('');
+  };
+
+  const handleSave = () => {
+    try {
+      onSave(validateSettings(draft));
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div ref={panelRef} role="dialog" aria-modal="true" aria-label="Settings" className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">Settings</h1>
+
+        {/* Presets */}
+        <div className="mb-2 flex justify-center space-x-4">
+          {SETTINGS_PRESETS.map(item => (
+            <button
+              key={item.id}
+              onClick={() => {
+                setDraft(item.settings);
+                setMessage('');
+              }}
+              className={`px-4 py-2 rounded ${preset && preset.id === item.id ? 'bg-blue-500 text-white' : 'bg-gray-200 text-black'}`}
+              title={item.description}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm mb-2">
+          {preset ? `${preset.label} - ${preset.description}` : 'Custom settings'}
+        </p>
+
+        <div className="bg-gray-100 p-3 rounded w-full max-w-md">
+          {Object.keys(SETTINGS_LIMITS).map(field => {
+            const { label, min, max } = SETTINGS_LIMITS[field];
+            return (
+              <label key={field} className="mb-2 flex justify-between">
+                {label}
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  value={Number.isNaN(draft[field]) ? '' : draft[field]}
+                  onChange={(e) => updateField(field, e.target.value === '' ? NaN : Number(e.target.value))}
+                  className="ml-2 px-2 py-1 border-2 border-gray-800"
+                />
+              </label>
+            );
+          })}
+
+          <label className="mb-2 flex justify-between">
+            Level curve
+            <select
+              value={draft.speedCurve}
+              onChange={(e) => updateField('speedCurve', e.target.value)}
+              className="ml-2 px-2 py-1"
+            >
+              {SPEED_CURVE_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="mb-2 flex justify-between">
+            Board edges
+            <select
+              value={draft.walls ? 'walls' : 'wrap'}
+              onChange={(e) => updateField('walls', e.target.value === 'walls')}
+              className="ml-2 px-2 py-1"
+            >
+              <option value="wrap">Wrap around</option>
+              <option value="walls">Walls</option>
+            </select>
+          </label>
+
+          <p className="text-sm">Level maps keep their own grid size.</p>
+        </div>
+
+        {inGame && <p className="mt-2 text-sm">Saving ends the game in progress.</p>}
+        {message && <p className="mt-2 text-red-500">{message}</p>}
+
+        <div className="mt-2 flex justify-center space-x-4">
+          <button onClick={handleSave} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+            Save
+          </button>
+          <button
+            onClick={() => {
+              setDraft(DEFAULT_SETTINGS);
+              setMessage('');
+            }}
+            className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+          >
+            Reset
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
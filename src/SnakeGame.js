@@ -1,5 +1,70 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { animated, useSpring } from '@react-spring/web';
+import {
+  createGame,
+  changeDirection,
+  isValidTurn,
+  queueDirection,
+  tick
+} from './snakeEngine';
+import { createRng, dailySeed, dateKey, randomSeed } from './random';
+import { createReplay, finishReplay, parseReplay, recordInput } from './replay';
+import { buildConfig } from './gameConfig';
+import BoardPieces from './BoardPieces';
+import CanvasBoard, { isCanvasSupported } from './CanvasBoard';
+import SettingsPanel from './SettingsPanel';
+import { loadSettings, saveSettings, validateSettings } from './settings';
+import Leaderboard from './Leaderboard';
+import { addScoreRecord, createScoreRecord, formatPlayTime, loadLeaderboard, scoreModeFor } from './highScores';
+import { GAME_MODES, findGameMode, loadGameMode, saveGameMode, timeRemaining } from './gameModes';
+import ProfilesScreen from './ProfilesScreen';
+import { getActiveProfile, loadProfiles, recordGame, saveProfiles } from './profiles';
+import AchievementsScreen from './AchievementsScreen';
+import ControlsScreen from './ControlsScreen';
+import OnlineScoresPanel from './OnlineScoresPanel';
+import { flushScoreQueue, loadOnlineConfig, loadScoreQueue, queueScore, saveOnlineConfig } from './onlineLeaderboard';
+import { ACTION_DIRECTIONS, actionForKey, getBindings, keyLabel, loadControls, saveControls, setBindings } from './controls';
+import { useGamepad } from './gamepad';
+import { applyAchievementEvent, getProgress, loadAchievements, saveAchievements, selectSkin } from './achievements';
+import { DEFAULT_SKIN, SKINS, skinPalette } from './skins';
+import {
+  BOARD_BACKGROUND,
+  THEMES,
+  THEME_CHOICES,
+  applyTheme,
+  loadThemeChoice,
+  resolveTheme,
+  saveThemeChoice,
+  watchSystemTheme
+} from './themes';
+import ReplayViewer from './ReplayViewer';
+import LevelEditor from './LevelEditor';
+import VersusGame from './VersusGame';
+import OnlineVersus from './OnlineVersus';
+import LearningReport from './LearningReport';
+import { LEARNING_PENALTIES, learningReport, questionHint, questionSpeech, questionText } from './learning';
+import {
+  BUILT_IN_PACKS,
+  deleteQuestionPack,
+  findPackLevel,
+  learningConfig,
+  loadLearningChoice,
+  loadQuestionPacks,
+  parseQuestionPack,
+  saveLearningChoice,
+  saveQuestionPack
+} from './questionPacks';
+import { chooseSoloDirection } from './bots';
+import { POWER_UPS, effectiveSpeed, timeLeft } from './powerUps';
+import { readFileText } from './download';
+import SoundControls from './SoundControls';
+import { clearSavedGame, loadSavedGame, restoreSavedGame, saveGameInProgress } from './savedGame';
+import { NO_COMBO, createSoundManager, loadAudioSettings, musicTempo, nextCombo, saveAudioSettings } from './soundManager';
+import { useFocusTrap, useReducedMotion } from './accessibility';
+import { FOOD_CUE_MODES, describeFood, loadFoodCueMode, playFoodTone, saveFoodCueMode, speakFoodCue } from './foodCues';
+
+// Seconds counted down before a paused game moves again
+const RESUME_COUNTDOWN = 3;
 
 const SnakeGame = () => {
   // Debug logging for screen size
@@ -49,62 +114,156 @@ const SnakeGame = () => {
     return Math.min(screenWidth * 0.8, screenHeight * 0.5);
   };
 
-  // Game constants
-  const gridSize = 20;
-  const initialSpeed = 165; // 10% slower than original 150
-  // Game state
-  const [snake, setSnake] = useState([{ x: 10, y: 10 }]);
-  const [food, setFood] = useState({ x: 5, y: 5 });
-  const [direction, setDirection] = useState('RIGHT');
+  // Game modes - classic walls, the handcrafted map campaign, or a custom
+  // map being test played from the level editor
+  // Grid size, speeds, level curve and walls come from the settings screen
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [showSettings, setShowSettings] = useState(false);
+  // Player profiles on a shared device - no active profile plays as a guest
+  const [profileStore, setProfileStore] = useState(() => loadProfiles());
+  const [showProfiles, setShowProfiles] = useState(false);
+  const activeProfile = getActiveProfile(profileStore);
+  // Achievements and skins, kept per profile ('guest' without one)
+  const [achievementStore, setAchievementStore] = useState(() => loadAchievements());
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [achievementToasts, setAchievementToasts] = useState([]);
+  const playerKey = activeProfile ? activeProfile.id : 'guest';
+  const achievementProgress = getProgress(achievementStore, playerKey);
+  // Key bindings, also kept per profile
+  const [controlsStore, setControlsStore] = useState(() => loadControls());
+  const [showControls, setShowControls] = useState(false);
+  const bindings = getBindings(controlsStore, playerKey);
+  // Online high scores - scores wait in a queue until the server takes them
+  const [onlineConfig, setOnlineConfig] = useState(() => loadOnlineConfig());
+  const [showOnlineScores, setShowOnlineScores] = useState(false);
+  const [scoreQueue, setScoreQueue] = useState(() => loadScoreQueue());
+  const [syncMessage, setSyncMessage] = useState('');
+  // Color theme - 'system' follows the device's dark mode and contrast settings
+  const [themeChoice, setThemeChoice] = useState(() => loadThemeChoice());
+  const [themeId, setThemeId] = useState(() => resolveTheme(themeChoice));
+  const themePalette = THEMES[themeId].snakePalette;
+  // The default skin takes its colors from the theme
+  const snakePalette = achievementProgress.skin === DEFAULT_SKIN ? themePalette : skinPalette(achievementProgress.skin);
+  // Endless, time attack, survival, zen or learning - maps are always endless
+  const [gameMode, setGameMode] = useState(() => loadGameMode());
+  // Learning mode - the built-in question packs plus any imported ones, and
+  // the pack, level and penalty picked on the start screen
+  const [questionPacks, setQuestionPacks] = useState(() => [...BUILT_IN_PACKS, ...loadQuestionPacks()]);
+  const [learningChoice, setLearningChoice] = useState(() => loadLearningChoice());
+  const [packError, setPackError] = useState('');
+  const learningPick = findPackLevel(questionPacks, learningChoice);
+  const learningFor = (choice, packs = questionPacks) => {
+    const { pack, level } = findPackLevel(packs, choice);
+    return learningConfig(pack, level, choice.penalty);
+  };
+  const [campaignMode, setCampaignMode] = useState(false);
+  const [powerUpsMode, setPowerUpsMode] = useState(true);
+  const [customMap, setCustomMap] = useState(null);
+  const [showEditor, setShowEditor] = useState(false);
+  // Number of humans in the arena screen - 2 for versus, 1 against bots
+  const [showVersus, setShowVersus] = useState(0);
+  // Online race against another device - turns go to the server through
+  // onlineDirectionRef instead of steering the snake here
+  const [showOnlineVersus, setShowOnlineVersus] = useState(false);
+  const onlineDirectionRef = useRef(null);
+  // Seeded random source for food placement - the seed reproduces a run
+  const [dailyChallenge, setDailyChallenge] = useState(false);
+  const [seed, setSeed] = useState(() => randomSeed());
+  const rngRef = useRef(null);
+  if (rngRef.current === null) {
+    rngRef.current = createRng(seed);
+  }
+  // Game state - snake, food, direction, score, level and speed come from the engine
+  const [game, setGame] = useState(() => (
+    createGame(buildConfig({ settings, campaign: false, custom: null, powerUps: true, gameMode, learning: learningFor(learningChoice) }), rngRef.current)
+  ));
+  const { snake, food, obstacles, direction, score, level } = game;
+  const gridSize = game.config.gridSize;
+  const currentMap = game.mapIndex !== null ? game.config.maps[game.mapIndex] : null;
+  // Time attack clock - null in the other modes
+  const clock = timeRemaining(game);
+  // Learning mode question - read out whenever a new one or a new letter comes up
+  const learningPrompt = game.learning ? questionSpeech(game.config.learning, game.learning) : null;
   const [gameOver, setGameOver] = useState(false);
-  const [score, setScore] = useState(0);
-  const [highScores, setHighScores] = useState([]);
+  const [scoreRecords, setScoreRecords] = useState([]);
+  // The name last saved with a score - their best is highlighted
+  const [lastPlayerName, setLastPlayerName] = useState(() => localStorage.getItem('snakePlayerName') || '');
   const [gameStarted, setGameStarted] = useState(false);
-  const [speed, setSpeed] = useState(initialSpeed);
   const [paused, setPaused] = useState(false);
-  const [level, setLevel] = useState(1);
+  // 3-2-1 after resuming - the loop waits until it's back to null
+  const [countdown, setCountdown] = useState(null);
+  // A game left running when the page was closed, offered on the start screen
+  const [savedGame, setSavedGame] = useState(() => loadSavedGame());
+  const [savedGameError, setSavedGameError] = useState('');
   const [playerName, setPlayerName] = useState('');
   const [showNameInput, setShowNameInput] = useState(false);
   const [showLevelUpAnimation, setShowLevelUpAnimation] = useState(false);
-  const [soundEnabled, setSoundEnabled] = useState(true);
+  const [lastReplay, setLastReplay] = useState(null);
+  const [watchingReplay, setWatchingReplay] = useState(null);
+  const [replayError, setReplayError] = useState('');
+  // Hidden teacher toggle - a bot steers to show how the snake should move
+  const [autopilot, setAutopilot] = useState(false);
+  const autopilotUsedRef = useRef(false);
+  // Attract mode - a bot plays behind the start screen
+  const [demoGame, setDemoGame] = useState(null);
+  // Board renderer - canvas by default, DOM pieces as the fallback
+  const [renderer, setRenderer] = useState(() => {
+    const saved = localStorage.getItem('snakeRenderer');
+    if (saved === 'dom' || (saved === 'canvas' && isCanvasSupported())) {
+      return saved;
+    }
+    return isCanvasSupported() ? 'canvas' : 'dom';
+  });
+  // The canvas boards, redrawn by the loops every animation frame
+  const boardRef = useRef(null);
+  const demoBoardRef = useRef(null);
+  // Springs jump straight to their end values when the device asks for less motion
+  const reducedMotion = useReducedMotion();
+  // Screen reader announcements - score changes are polite, the rest interrupt
+  const [politeMessage, setPoliteMessage] = useState('');
+  const [alertMessage, setAlertMessage] = useState('');
+  // Spoken or tone cues for where the food is, for low-vision players
+  const [foodCueMode, setFoodCueMode] = useState(() => loadFoodCueMode());
+  const foodCueModeRef = useRef(foodCueMode);
   
-  // Audio references
-  const eatSoundRef = useRef(null);
-  const levelUpSoundRef = useRef(null);
-  const gameOverSoundRef = useRef(null);
-  const gameStartSoundRef = useRef(null);
+  // Sound effects and music through Web Audio. Volumes and mute are saved.
+  const [audioSettings, setAudioSettings] = useState(() => loadAudioSettings());
+  // The browser is holding audio back until the player taps or presses a key
+  const [audioBlocked, setAudioBlocked] = useState(false);
+  const soundRef = useRef(null);
+  if (soundRef.current === null) {
+    soundRef.current = createSoundManager(audioSettings, { onBlockedChange: setAudioBlocked });
+  }
+  // Eats close together play rising notes
+  const comboRef = useRef(NO_COMBO);
   
-  // Initialize audio objects
   useEffect(() => {
-    eatSoundRef.current = new Audio('/sounds/eat.mp3');
-    eatSoundRef.current.volume = 0.3;
-    
-    levelUpSoundRef.current = new Audio('/sounds/level-up.mp3');
-    levelUpSoundRef.current.volume = 0.5;
-    
-    gameOverSoundRef.current = new Audio('/sounds/game-over.mp3');
-    gameOverSoundRef.current.volume = 0.4;
-    
-    gameStartSoundRef.current = new Audio('/sounds/game-start.mp3');
-    gameStartSoundRef.current.volume = 0.4;
+    soundRef.current.setSettings(audioSettings);
+  }, [audioSettings]);
+  
+  const updateAudioSettings = useCallback((nextSettings) => {
+    setAudioSettings(saveAudioSettings(nextSettings));
   }, []);
   
-  // Function to play sounds
-  const playSound = useCallback((soundRef) => {
-    if (soundEnabled && soundRef.current) {
-      // Reset the audio to the beginning if it's already playing
-      soundRef.current.currentTime = 0;
-      soundRef.current.play().catch(error => {
-        console.log('Audio play error:', error);
-      });
-    }
-  }, [soundEnabled]);
+  // Any tap or key press may let the browser start audio
+  useEffect(() => {
+    const unlock = () => soundRef.current.unlock();
+    const events = ['pointerdown', 'keydown', 'touchend'];
+    events.forEach(type => window.addEventListener(type, unlock));
+    return () => events.forEach(type => window.removeEventListener(type, unlock));
+  }, []);
+  
+  // Play a sound effect by name - also used by screens that run their own game loop
+  const playSound = useCallback((name, options) => {
+    soundRef.current.play(name, options);
+  }, []);
   
   // Level-up animation spring
   const levelUpAnimation = useSpring({
     opacity: showLevelUpAnimation ? 1 : 0,
     transform: showLevelUpAnimation ? 'scale(1.2)' : 'scale(0.8)',
     config: { tension: 300, friction: 10 },
+    immediate: reducedMotion,
     onRest: () => {
       if (showLevelUpAnimation) {
         setTimeout(() => setShowLevelUpAnimation(false), 1000);
@@ -112,119 +271,233 @@ const SnakeGame = () => {
     }
   });
   
-  // Snake animation for start screen - gentle bouncing animation
-  const snakeAnimation = useSpring({
+  // Achievement toast spring - slides in like the level-up message pops
+  const achievementAnimation = useSpring({
+    opacity: achievementToasts.length > 0 ? 1 : 0,
+    transform: achievementToasts.length > 0 ? 'translateY(0px) scale(1)' : 'translateY(-20px) scale(0.8)',
+    config: { tension: 300, friction: 12 },
+    immediate: reducedMotion
+  });
+  
+  // Snake animation for start screen - gentle bouncing animation, or
+  // standing still with reduced motion
+  const snakeAnimation = useSpring(reducedMotion ? {
+    transform: 'scale(1) translateY(0px)',
+    immediate: true
+  } : {
     from: { transform: 'scale(0.95) translateY(5px)' },
     to: { transform: 'scale(1.05) translateY(-5px)' },
     config: { tension: 120, friction: 14 },
     loop: { reverse: true, delay: 400 }
   });
   
-  // Note: We're using CSS transitions for smooth animation instead of a separate animation speed
+  // Announce to screen readers. The same message twice in a row is changed
+  // slightly so it's read out again.
+  const announce = useCallback((message, urgent = false) => {
+    const setMessage = urgent ? setAlertMessage : setPoliteMessage;
+    setMessage(prev => (prev === message ? `${message}\u00a0` : message));
+  }, []);
+  
+  // Note: The canvas board interpolates between ticks; the DOM fallback uses CSS transitions
   
   // Refs to avoid dependency issues with timers and callbacks
   const gameStateRef = useRef({
     direction,
-    snake,
-    food,
     gameStarted,
     gameOver,
     paused,
-    speed,
-    score
+    watchingReplay,
+    showEditor,
+    showSettings,
+    showProfiles,
+    showAchievements,
+    showControls,
+    showOnlineScores,
+    showVersus,
+    showOnlineVersus,
+    showNameInput,
+    hasSavedGame: savedGame !== null,
+    autopilot
   });
   
   // Update ref whenever state changes
   useEffect(() => {
     gameStateRef.current = {
       direction,
-      snake,
-      food,
       gameStarted,
       gameOver,
       paused,
-      speed,
-      score
+      watchingReplay,
+      showEditor,
+      showSettings,
+      showProfiles,
+      showAchievements,
+      showControls,
+      showOnlineScores,
+      showVersus,
+      showOnlineVersus,
+      showNameInput,
+      hasSavedGame: savedGame !== null,
+      autopilot
     };
-  }, [direction, snake, food, gameStarted, gameOver, paused, speed, score]);
-  
-  // Rainbow colors
-  const rainbowColors = [
-    '#FF0000', // Red
-    '#FF7F00', // Orange
-    '#FFFF00', // Yellow
-    '#00FF00', // Green
-    '#0000FF', // Blue
-    '#4B0082', // Indigo
-    '#9400D3'  // Violet
-  ];
-  
-  // Load high scores from localStorage on mount
-  useEffect(() => {
-    try {
-      const savedScores = localStorage.getItem('snakeHighScores');
-      if (savedScores) {
-        const parsed = JSON.parse(savedScores);
-        // Validate the high scores format
-        if (Array.isArray(parsed) && parsed.every(item => 
-          typeof item === 'object' && 
-          item !== null && 
-          'name' in item && 
-          'score' in item && 
-          typeof item.score === 'number')) {
-          setHighScores(parsed);
-        } else {
-          // If invalid format, clear localStorage
-          localStorage.removeItem('snakeHighScores');
-          setHighScores([]);
-        }
-      } else {
-        setHighScores([]);
-      }
-    } catch (error) {
-      // If error in parsing, clear localStorage
-      localStorage.removeItem('snakeHighScores');
-      setHighScores([]);
+  }, [direction, gameStarted, gameOver, paused, watchingReplay, showEditor, showSettings, showProfiles, showAchievements, showControls, showOnlineScores, showVersus, showOnlineVersus, showNameInput, savedGame, autopilot]);
+  
+  // Engine state is the source of truth for the board. Inputs and the game loop
+  // both update it synchronously so a turn is never overwritten by a move.
+  const gameRef = useRef(game);
+  const updateGame = useCallback((nextGame) => {
+    gameRef.current = nextGame;
+    setGame(nextGame);
+  }, []);
+  
+  // Every game is recorded as its seed plus the direction inputs per tick
+  const replayRef = useRef(null);
+  if (replayRef.current === null) {
+    replayRef.current = createReplay(seed, gameRef.current.config);
+  }
+  
+  // Turn the snake now and record the turn for the replay
+  const steer = useCallback((newDir) => {
+    const current = gameRef.current;
+    if (newDir === current.direction || !isValidTurn(current.direction, newDir)) {
+      return;
     }
+    replayRef.current = recordInput(replayRef.current, current.tick, newDir);
+    updateGame(changeDirection(current, newDir));
+  }, [updateGame]);
+  
+  // Player inputs wait in a queue and the game loop takes one per tick
+  const inputQueueRef = useRef([]);
+  
+  // Queue a direction input. Reversals are checked against the last queued
+  // turn. Returns false when the turn was dropped - a reversal, the same
+  // direction again or a full queue.
+  const applyDirection = useCallback((newDir) => {
+    const queue = inputQueueRef.current;
+    inputQueueRef.current = queueDirection(queue, gameRef.current.direction, newDir);
+    return inputQueueRef.current !== queue;
   }, []);
   
-  // Generate random food position
-  const generateFood = useCallback(() => {
-    const newFood = {
-      x: Math.floor(Math.random() * gridSize),
-      y: Math.floor(Math.random() * gridSize)
-    };
-    
-    // Make sure food doesn't spawn on snake
-    const isOnSnake = gameStateRef.current.snake.some(segment => 
-      segment.x === newFood.x && segment.y === newFood.y
-    );
-    
-    if (isOnSnake && gameStateRef.current.snake.length < gridSize * gridSize - 1) {
-      return generateFood(); // Try again if food would be on snake
+  // Close the recording when the game ends
+  const finishRecording = useCallback(() => {
+    replayRef.current = finishReplay(replayRef.current, gameRef.current);
+    setLastReplay(replayRef.current);
+  }, []);
+  
+  // Save profile changes - a ref copy lets the game loop record stats
+  const profileStoreRef = useRef(profileStore);
+  const updateProfiles = useCallback((nextStore) => {
+    profileStoreRef.current = saveProfiles(nextStore);
+    setProfileStore(nextStore);
+  }, []);
+  
+  // Food eaten this game, for the profile stats
+  const foodEatenRef = useRef(0);
+  
+  // Save achievement progress - a ref copy lets the game loop update it
+  const achievementStoreRef = useRef(achievementStore);
+  const updateAchievements = useCallback((nextStore) => {
+    achievementStoreRef.current = saveAchievements(nextStore);
+    setAchievementStore(nextStore);
+  }, []);
+  
+  // Game time when the current stretch without pausing began
+  const runStartRef = useRef(0);
+  
+  // Check achievements against a game event. Autopilot games don't count.
+  const trackAchievements = useCallback((event, state) => {
+    if (autopilotUsedRef.current) return;
+    const key = profileStoreRef.current.activeId || 'guest';
+    const { store, unlocked } = applyAchievementEvent(achievementStoreRef.current, key, event, state, runStartRef.current);
+    if (store !== achievementStoreRef.current) {
+      updateAchievements(store);
     }
-    
-    return newFood;
-  }, [gridSize]);
+    if (unlocked.length > 0) {
+      console.log('Achievements unlocked:', unlocked.map(achievement => achievement.id));
+      setAchievementToasts(prev => [...prev, ...unlocked]);
+    }
+  }, [updateAchievements]);
+  
+  // Pausing starts a new stretch for "survive without pausing"
+  useEffect(() => {
+    if (paused) {
+      runStartRef.current = gameRef.current.time;
+    }
+  }, [paused]);
+  
+  // Show each unlocked achievement for a few seconds
+  useEffect(() => {
+    if (achievementToasts.length === 0) return;
+    const timeoutId = setTimeout(() => setAchievementToasts(prev => prev.slice(1)), 3000);
+    return () => clearTimeout(timeoutId);
+  }, [achievementToasts]);
   
-  // Calculate speed based on level
-  const calculateSpeed = useCallback((lvl) => {
-    // Level 1: initialSpeed (165)
-    // Level 10: fastest speed (70)
-    const maxSpeedReduction = initialSpeed - 70;
-    const reduction = (lvl - 1) / 9 * maxSpeedReduction;
-    return Math.round(initialSpeed - reduction);
-  }, [initialSpeed]);
+  // Add a finished game to the active player's stats. Autopilot games don't count.
+  const recordProfileGame = useCallback((cause) => {
+    const store = profileStoreRef.current;
+    if (!getActiveProfile(store) || autopilotUsedRef.current) return;
+    const state = gameRef.current;
+    updateProfiles(recordGame(store, store.activeId, {
+      score: state.score,
+      level: state.level,
+      length: state.snake.length,
+      playTime: state.time,
+      food: foodEatenRef.current,
+      cause
+    }));
+  }, [updateProfiles]);
+  
+  // Load high scores from localStorage on mount - older lists are migrated
+  useEffect(() => {
+    setScoreRecords(loadLeaderboard());
+  }, []);
+  
+  // Send queued scores to the leaderboard server. Scores it turns down are
+  // dropped and the player is told why.
+  const syncScores = useCallback((now) => {
+    if (!onlineConfig.server) return;
+    flushScoreQueue(onlineConfig.server, now).then(({ queue, rejected }) => {
+      setScoreQueue(queue);
+      if (rejected.length > 0) {
+        setSyncMessage(rejected.map(({ record, reason }) => (
+          `${record.name}'s score of ${record.score} wasn't accepted: ${reason}`
+        )).join(' '));
+      }
+    });
+  }, [onlineConfig.server]);
+  
+  // Try on load, when the connection comes back and every so often
+  useEffect(() => {
+    syncScores();
+    const intervalId = setInterval(() => syncScores(), 30000);
+    const handleOnline = () => syncScores(Infinity);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      clearInterval(intervalId);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [syncScores]);
   
   // Handle direction change (for mobile controls)
   const handleDirectionChange = useCallback((newDir) => {
     console.log('Mobile control clicked:', newDir);
     const state = gameStateRef.current;
     
+    // In an online race the server moves the snake
+    if (state.showOnlineVersus) {
+      if (onlineDirectionRef.current) {
+        onlineDirectionRef.current(newDir);
+      }
+      return;
+    }
+    
+    // Answer the "Continue game?" prompt first
+    if (!state.gameStarted && state.hasSavedGame) return;
+    
     if (!state.gameStarted && !state.gameOver) {
       console.log('Starting game with mobile control');
       setGameStarted(true);
-      playSound(gameStartSoundRef);
+      playSound('start');
     }
     
     if (state.gameOver || state.paused) {
@@ -232,51 +505,133 @@ const SnakeGame = () => {
       return;
     }
     
-    if (
-      (newDir === 'UP' && state.direction !== 'DOWN') ||
-      (newDir === 'DOWN' && state.direction !== 'UP') ||
-      (newDir === 'LEFT' && state.direction !== 'RIGHT') ||
-      (newDir === 'RIGHT' && state.direction !== 'LEFT')
-    ) {
+    // Steering by hand takes over from the autopilot
+    if (state.autopilot) {
+      setAutopilot(false);
+    }
+    
+    if (applyDirection(newDir)) {
       console.log('Changing direction to', newDir);
-      setDirection(newDir);
     } else {
-      console.log('Invalid direction change attempted:', newDir, 'current:', state.direction);
+      console.log('Invalid direction change attempted:', newDir, 'current:', gameRef.current.direction);
+    }
+  }, [playSound, applyDirection]);
+  
+  // Play Again and Continue for the key and gamepad handlers, which are set
+  // up before resetGame and continueSavedGame
+  const restartRef = useRef(null);
+  const continueRef = useRef(null);
+  
+  // Pausing is immediate; resuming counts down first so nobody crashes
+  // the moment the snake moves again
+  const pauseGame = useCallback(() => {
+    setPaused(true);
+    setCountdown(null);
+  }, []);
+  
+  const resumeGame = useCallback(() => {
+    setPaused(false);
+    setCountdown(RESUME_COUNTDOWN);
+  }, []);
+  
+  const togglePause = useCallback(() => {
+    const state = gameStateRef.current;
+    if (!state.gameStarted || state.gameOver) return;
+    if (state.paused) {
+      resumeGame();
+    } else {
+      pauseGame();
     }
-  }, [playSound]);
+  }, [pauseGame, resumeGame]);
   
-  // Handle keyboard controls
+  // End game manually - the End Game buttons and the end key or button.
+  // A paused game can be ended too, which closes the pause menu.
+  const endGame = useCallback(() => {
+    const state = gameStateRef.current;
+    if (state.gameStarted && !state.gameOver) {
+      setPaused(false);
+      setCountdown(null);
+      finishRecording();
+      recordProfileGame('ended');
+      setGameOver(true);
+      setShowNameInput(!autopilotUsedRef.current);
+      playSound('gameOver');
+      announce(`Game over. Your score: ${gameRef.current.score}`, true);
+    }
+  }, [finishRecording, recordProfileGame, playSound, announce]);
+  
+  // Handle keyboard controls - keys come from the player's bindings
   const handleKeyPress = useCallback((e) => {
     console.log('Key pressed:', e.key);
     const state = gameStateRef.current;
     
-    // Start game on any arrow key
-    if (!state.gameStarted && !state.gameOver) {
-      console.log('Game not started, checking if arrow key');
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-        console.log('Starting game with arrow key:', e.key);
+    // Only turns count in an online race - they take the same path as the on-screen buttons
+    if (state.showOnlineVersus) {
+      const newDir = ACTION_DIRECTIONS[actionForKey(bindings, e.key)];
+      if (newDir && !['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+        handleDirectionChange(newDir);
+      }
+      return;
+    }
+    
+    // The replay viewer, level editor and the other full-screen panels have their own controls
+    if (state.watchingReplay || state.showEditor || state.showSettings || state.showProfiles || state.showAchievements || state.showControls || state.showOnlineScores || state.showVersus) return;
+    
+    const action = actionForKey(bindings, e.key);
+    
+    // Start game on any key - the player takes over from the demo snake.
+    // Keys typed into buttons and form fields keep their usual meaning, and
+    // a saved game has to be continued or dropped first.
+    if (!state.gameStarted && !state.gameOver && !state.hasSavedGame) {
+      console.log('Game not started, checking key');
+      const isDirection = Boolean(ACTION_DIRECTIONS[action]);
+      const isModifier = ['Shift', 'Control', 'Alt', 'Meta', 'Tab', 'CapsLock'].includes(e.key);
+      const inControl = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName);
+      // Arrow keys in a drop-down (like the mode picker) change the choice
+      const inList = e.target.tagName === 'SELECT';
+      if ((isDirection && !inList) || (!isModifier && !inControl)) {
+        console.log('Starting game with key:', e.key);
         setGameStarted(true);
-        playSound(gameStartSoundRef);
+        playSound('start');
       }
     }
     
-    // Pause game on 'p' key
-    if (e.key === 'p' || e.key === 'P') {
-      console.log('P key pressed, toggling pause');
+    // Typing a name isn't playing
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    
+    // Toggle the hidden autopilot on 't' key
+    if (e.key === 't' || e.key === 'T') {
       if (state.gameStarted && !state.gameOver) {
-        setPaused(prev => !prev);
+        console.log('T key pressed, toggling autopilot');
+        autopilotUsedRef.current = true;
+        setAutopilot(prev => !prev);
       }
       return;
     }
     
-    // End game on 'x' key
-    if (e.key === 'x' || e.key === 'X') {
-      console.log('X key pressed, ending game');
-      if (state.gameStarted && !state.gameOver && !state.paused) {
-        setGameOver(true);
-        setShowNameInput(true);
-        return;
+    if (action === 'mute') {
+      setAudioSettings(prev => saveAudioSettings({ ...prev, muted: !prev.muted }));
+      return;
+    }
+    
+    if (action === 'pause') {
+      console.log('Pause key pressed, toggling pause');
+      togglePause();
+      return;
+    }
+    
+    if (action === 'end') {
+      console.log('End key pressed, ending game');
+      endGame();
+      return;
+    }
+    
+    // Same as Play Again - once the score is saved or skipped
+    if (action === 'restart') {
+      if (state.gameOver && !state.showNameInput) {
+        restartRef.current();
       }
+      return;
     }
     
     // Skip other controls if game is not running
@@ -285,37 +640,40 @@ const SnakeGame = () => {
       return;
     }
     
-    // Process arrow keys
+    // Process direction keys
     console.log('Processing direction change for key:', e.key);
-    switch (e.key) {
-      case 'ArrowUp':
-        if (state.direction !== 'DOWN') {
-          console.log('Changing direction to UP');
-          setDirection('UP');
-        }
-        break;
-      case 'ArrowDown':
-        if (state.direction !== 'UP') {
-          console.log('Changing direction to DOWN');
-          setDirection('DOWN');
-        }
-        break;
-      case 'ArrowLeft':
-        if (state.direction !== 'RIGHT') {
-          console.log('Changing direction to LEFT');
-          setDirection('LEFT');
-        }
-        break;
-      case 'ArrowRight':
-        if (state.direction !== 'LEFT') {
-          console.log('Changing direction to RIGHT');
-          setDirection('RIGHT');
-        }
-        break;
-      default:
-        break;
+    const newDir = ACTION_DIRECTIONS[action];
+    if (newDir && state.autopilot) {
+      setAutopilot(false);
     }
-  }, [playSound]);
+    if (newDir && applyDirection(newDir)) {
+      console.log('Changing direction to', newDir);
+    }
+  }, [bindings, playSound, applyDirection, handleDirectionChange, endGame, togglePause]);
+  
+  // Gamepad Start - starts the game, then pauses and resumes, then plays again
+  const handleGamepadStart = useCallback(() => {
+    const state = gameStateRef.current;
+    if (state.showOnlineVersus) return;
+    if (!state.gameStarted && state.hasSavedGame) {
+      continueRef.current();
+    } else if (!state.gameStarted && !state.gameOver) {
+      setGameStarted(true);
+      playSound('start');
+    } else if (state.gameOver) {
+      if (!state.showNameInput) {
+        restartRef.current();
+      }
+    } else {
+      togglePause();
+    }
+  }, [playSound, togglePause]);
+  
+  // Gamepads steer through the same path as the on-screen buttons
+  useGamepad(
+    { onDirection: handleDirectionChange, onStart: handleGamepadStart },
+    !watchingReplay && !showEditor && !showSettings && !showProfiles && !showAchievements && !showControls && !showOnlineScores && !showVersus
+  );
   
   // Handle touch swipe for mobile
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -374,16 +732,16 @@ const SnakeGame = () => {
       // Determine if the swipe was horizontal or vertical
       if (Math.abs(diffX) > Math.abs(diffY)) {
         // Horizontal swipe
-        if (diffX > threshold && state.direction !== 'LEFT') {
+        if (diffX > threshold) {
           handleDirectionChange('RIGHT');
-        } else if (diffX < -threshold && state.direction !== 'RIGHT') {
+        } else if (diffX < -threshold) {
           handleDirectionChange('LEFT');
         }
       } else {
         // Vertical swipe
-        if (diffY > threshold && state.direction !== 'UP') {
+        if (diffY > threshold) {
           handleDirectionChange('DOWN');
-        } else if (diffY < -threshold && state.direction !== 'DOWN') {
+        } else if (diffY < -threshold) {
           handleDirectionChange('UP');
         }
       }
@@ -418,116 +776,190 @@ const SnakeGame = () => {
     };
   }, [handleKeyPress, handleTouchSwipe, playSound]);
   
-  // Update level based on score
+  // Apply the theme, and keep following the device while on 'system'
   useEffect(() => {
-    const newLevel = Math.floor(score / 10) + 1;
-    const clampedLevel = Math.min(newLevel, 10);
-    
-    if (clampedLevel !== level) {
-      setLevel(clampedLevel);
-      setSpeed(calculateSpeed(clampedLevel));
-      
-      // Don't play level up sound on first level (game start)
-      if (level > 1 || clampedLevel > 1) {
-        // Play level up sound
-        playSound(levelUpSoundRef);
-        
-        // Show level up animation
-        setShowLevelUpAnimation(true);
-      }
-    }
-  }, [score, level, calculateSpeed, playSound]);
+    setThemeId(resolveTheme(themeChoice));
+    if (themeChoice !== 'system') return;
+    return watchSystemTheme(() => setThemeId(resolveTheme('system')));
+  }, [themeChoice]);
   
-  // Focus name input when it appears
+  useEffect(() => {
+    applyTheme(themeId);
+  }, [themeId]);
+  
+  // Focus name input when it appears, and Play Again once it's gone
   const nameInputRef = useRef(null);
+  const playAgainRef = useRef(null);
   useEffect(() => {
     if (showNameInput && nameInputRef.current) {
       nameInputRef.current.focus();
+    } else if (!showNameInput && playAgainRef.current) {
+      playAgainRef.current.focus();
+    }
+  }, [showNameInput, gameOver]);
+  
+  // Keep keyboard focus in the game over and pause dialogs. Escape skips
+  // saving the score, or resumes the game.
+  const gameOverDialogRef = useRef(null);
+  const pauseDialogRef = useRef(null);
+  const skipSavingScore = useCallback(() => setShowNameInput(false), []);
+  useFocusTrap(gameOverDialogRef, gameOver, skipSavingScore);
+  // Panels opened over the pause menu take focus while they're open
+  useFocusTrap(pauseDialogRef, paused && !watchingReplay && !showEditor && !showVersus && !showSettings && !showControls, resumeGame);
+  
+  // Announce pausing a game in progress - resuming is announced by the countdown
+  const wasPausedRef = useRef(paused);
+  useEffect(() => {
+    if (paused === wasPausedRef.current) return;
+    wasPausedRef.current = paused;
+    if (paused && gameStarted && !gameOver) {
+      announce(`Game paused. Press ${keyLabel(bindings.pause)} or Escape to resume`, true);
     }
-  }, [showNameInput]);
+  }, [paused, gameStarted, gameOver, announce, bindings]);
   
-  // Game loop with smooth animation
+  // Count down one second at a time, then let the loop run
   useEffect(() => {
-    if (!gameStarted || gameOver || paused) {
-      console.log('Game loop not starting. gameStarted:', gameStarted, 'gameOver:', gameOver, 'paused:', paused);
+    if (countdown === null) return;
+    announce(countdown === RESUME_COUNTDOWN ? `Resuming in ${countdown}` : `${countdown}`, true);
+    const timeoutId = setTimeout(() => setCountdown(countdown > 1 ? countdown - 1 : null), 1000);
+    return () => clearTimeout(timeoutId);
+  }, [countdown, announce]);
+  
+  // Pause by itself when the tab is hidden or the window loses focus, so the
+  // game doesn't keep running in the background
+  useEffect(() => {
+    const autoPause = () => {
+      const state = gameStateRef.current;
+      if (state.gameStarted && !state.gameOver && !state.paused) {
+        pauseGame();
+      }
+    };
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        autoPause();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', autoPause);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', autoPause);
+    };
+  }, [pauseGame]);
+  
+  // Food cues every tick for speech (skipped while the last one is still
+  // being read out), every few ticks for tones
+  const foodCueTickRef = useRef(0);
+  const playFoodCue = useCallback((state) => {
+    foodCueTickRef.current += 1;
+    if (foodCueModeRef.current === 'speech') {
+      speakFoodCue(describeFood(state));
+    } else if (foodCueModeRef.current === 'tones' && foodCueTickRef.current % 4 === 0) {
+      playFoodTone(state, soundRef.current);
+    }
+  }, []);
+  
+  // Game loop with a fixed timestep - the simulation clock only advances by
+  // whole ticks of the current speed, whatever the frame rate does
+  useEffect(() => {
+    if (!gameStarted || gameOver || paused || countdown !== null) {
+      console.log('Game loop not starting. gameStarted:', gameStarted, 'gameOver:', gameOver, 'paused:', paused, 'countdown:', countdown);
       return;
     }
     
     console.log('Starting game loop');
-    let lastMoveTime = Date.now();
+    let lastFrameTime = performance.now();
+    let accumulator = 0;
     let animationFrameId = null;
     
-    const gameLoop = () => {
-      const state = gameStateRef.current;
-      const currentTime = Date.now();
+    const gameLoop = (frameTime) => {
+      const stepLength = effectiveSpeed(gameRef.current);
+      // A long frame (tab switch, hitch) counts as one tick at most, so the
+      // snake never jumps ahead to catch up
+      accumulator += Math.min(Math.max(0, frameTime - lastFrameTime), stepLength);
+      lastFrameTime = frameTime;
       
       // Check if it's time for the next move
-      if (currentTime - lastMoveTime >= state.speed) {
-        console.log('Moving snake, direction:', state.direction);
+      if (accumulator >= stepLength) {
+        accumulator -= stepLength;
+        console.log('Moving snake, direction:', gameRef.current.direction);
         moveSnake();
-        lastMoveTime = currentTime;
+      }
+      
+      // Glide the canvas snake between moves
+      if (boardRef.current) {
+        boardRef.current.draw();
       }
       
       animationFrameId = requestAnimationFrame(gameLoop);
     };
     
     const moveSnake = () => {
-      const state = gameStateRef.current;
-      
-      // Create copy of the current snake
-      const newSnake = [...state.snake];
-      
-      // Create new head based on current head and direction
-      const head = { ...newSnake[0] };
-      
-      // Move head based on direction
-      switch (state.direction) {
-        case 'UP':
-          head.y = (head.y === 0) ? gridSize - 1 : head.y - 1;
-          break;
-        case 'DOWN':
-          head.y = (head.y === gridSize - 1) ? 0 : head.y + 1;
-          break;
-        case 'LEFT':
-          head.x = (head.x === 0) ? gridSize - 1 : head.x - 1;
-          break;
-        case 'RIGHT':
-          head.x = (head.x === gridSize - 1) ? 0 : head.x + 1;
-          break;
-        default:
-          break;
+      // One queued turn per tick. The autopilot steers directly.
+      if (gameStateRef.current.autopilot) {
+        inputQueueRef.current = [];
+        steer(chooseSoloDirection(gameRef.current));
+      } else if (inputQueueRef.current.length > 0) {
+        const [nextDir, ...rest] = inputQueueRef.current;
+        inputQueueRef.current = rest;
+        steer(nextDir);
       }
       
-      // Check for collision with self
-      const collided = newSnake.some((segment, index) => {
-        return index > 0 && segment.x === head.x && segment.y === head.y;
-      });
+      const clockBefore = timeRemaining(gameRef.current);
+      const { state: nextGame, events } = tick(gameRef.current, rngRef.current);
+      updateGame(nextGame);
       
-      if (collided) {
-        setGameOver(true);
-        setShowNameInput(true);
-        playSound(gameOverSoundRef);
-        return;
+      // Time attack - a warning ten seconds before the end
+      const clockAfter = timeRemaining(nextGame);
+      if (clockBefore > 10000 && clockAfter <= 10000 && !nextGame.gameOver) {
+        announce('10 seconds left', true);
       }
       
-      // Check for food collision
-      const ateFood = head.x === state.food.x && head.y === state.food.y;
-      
-      // Create new snake with new head
-      const updatedSnake = [head, ...newSnake];
+      events.forEach(event => {
+        switch (event.type) {
+          case 'eat':
+            foodEatenRef.current += 1;
+            comboRef.current = nextCombo(comboRef.current, nextGame.time);
+            playSound('eat', { step: comboRef.current.step });
+            announce(`Score ${nextGame.score}`);
+            break;
+          case 'powerUp':
+            playSound(`powerUp-${event.kind}`);
+            break;
+          case 'trim':
+            playSound('powerUp-shrink');
+            announce(`Trimmed to length ${event.length}`);
+            break;
+          case 'answer':
+            if (!event.correct) {
+              playSound('powerUp-shrink');
+              announce(`${event.label} isn't right${nextGame.learning.lives !== null ? `, ${nextGame.learning.lives} lives left` : ''}`, true);
+            }
+            break;
+          case 'levelUp':
+            playSound('levelUp');
+            setShowLevelUpAnimation(true);
+            announce(`Level up! Level ${nextGame.level}`, true);
+            break;
+          case 'gameOver':
+            finishRecording();
+            recordProfileGame(event.cause);
+            setGameOver(true);
+            setShowNameInput(!autopilotUsedRef.current);
+            playSound('gameOver');
+            announce(`${{ time: "Time's up", lives: 'Out of lives' }[event.cause] || 'Game over'}. Your score: ${nextGame.score}`, true);
+            break;
+          default:
+            break;
+        }
+        if (['eat', 'levelUp', 'gameOver'].includes(event.type)) {
+          trackAchievements(event, nextGame);
+        }
+      });
       
-      // Remove tail if didn't eat food
-      if (!ateFood) {
-        updatedSnake.pop();
-      } else {
-        // Handle food collision
-        setScore(prevScore => prevScore + 1);
-        setFood(generateFood());
-        playSound(eatSoundRef);
+      if (!nextGame.gameOver) {
+        playFoodCue(nextGame);
       }
-      
-      // Update snake state
-      setSnake(updatedSnake);
     };
     
     // Start the game loop
@@ -539,97 +971,513 @@ const SnakeGame = () => {
         cancelAnimationFrame(animationFrameId);
       }
     };
-  }, [gameStarted, gameOver, paused, generateFood, gridSize, playSound]);
+  }, [gameStarted, gameOver, paused, countdown, playSound, updateGame, finishRecording, recordProfileGame, trackAchievements, steer, announce, playFoodCue]);
+  
+  // Learning mode - read out each question, and each letter of a spelling
+  useEffect(() => {
+    if (gameStarted && !gameOver && learningPrompt) {
+      announce(learningPrompt, true);
+    }
+  }, [gameStarted, gameOver, learningPrompt, announce]);
+  
+  // Background music while a game is running, faster every level
+  useEffect(() => {
+    if (!gameStarted || gameOver || paused || countdown !== null) return;
+    soundRef.current.startMusic();
+    return () => soundRef.current.stopMusic();
+  }, [gameStarted, gameOver, paused, countdown]);
+  
+  useEffect(() => {
+    soundRef.current.setMusicTempo(musicTempo(level));
+  }, [level]);
+  
+  // Save the game in progress whenever the page is hidden or closed - on
+  // tablets a hidden tab may never come back
+  useEffect(() => {
+    const saveIfPlaying = () => {
+      const state = gameStateRef.current;
+      if (!state.gameStarted || state.gameOver) return;
+      saveGameInProgress({
+        state: gameRef.current,
+        replay: replayRef.current,
+        modes: { daily: dailyChallenge, campaign: campaignMode, powerUps: powerUpsMode, custom: customMap, gameMode },
+        settings,
+        foodEaten: foodEatenRef.current,
+        autopilotUsed: autopilotUsedRef.current
+      });
+    };
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        saveIfPlaying();
+      }
+    };
+    window.addEventListener('pagehide', saveIfPlaying);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', saveIfPlaying);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [dailyChallenge, campaignMode, powerUpsMode, customMap, gameMode, settings]);
+  
+  // A finished game can't be continued
+  useEffect(() => {
+    if (gameOver) {
+      clearSavedGame();
+    }
+  }, [gameOver]);
+  
+  // Focus Continue when the prompt shows
+  const continueButtonRef = useRef(null);
+  useEffect(() => {
+    if (savedGame && continueButtonRef.current) {
+      continueButtonRef.current.focus();
+    }
+  }, [savedGame]);
+  
+  // Attract mode - while the start screen shows, a bot plays a demo game
+  // with the current settings. It never touches the real game state.
+  const gameConfig = game.config;
+  useEffect(() => {
+    if (gameStarted || gameOver) {
+      setDemoGame(null);
+      return;
+    }
+    
+    let demo = createGame(gameConfig);
+    let lastMoveTime = Date.now();
+    let animationFrameId = null;
+    
+    const demoLoop = () => {
+      const currentTime = Date.now();
+      if (currentTime - lastMoveTime >= effectiveSpeed(demo)) {
+        demo = changeDirection(demo, chooseSoloDirection(demo));
+        const { state: nextDemo } = tick(demo);
+        // Start over when the demo snake crashes
+        demo = nextDemo.gameOver ? createGame(gameConfig) : nextDemo;
+        setDemoGame(demo);
+        lastMoveTime = currentTime;
+      }
+      if (demoBoardRef.current) {
+        demoBoardRef.current.draw();
+      }
+      animationFrameId = requestAnimationFrame(demoLoop);
+    };
+    
+    animationFrameId = requestAnimationFrame(demoLoop);
+    return () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+    };
+  }, [gameStarted, gameOver, gameConfig]);
   
   // Save high score with name
   const saveHighScore = () => {
-    const name = playerName.trim() || 'Anonymous';
-    
-    // Update high scores with name
-    const newHighScores = [...highScores, { name, score }]
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 5);
+    const name = playerName.trim() || (activeProfile ? activeProfile.name : 'Anonymous');
+    const record = createScoreRecord({
+      name,
+      state: gameRef.current,
+      mode: scoreModeFor({ daily: dailyChallenge, campaign: campaignMode, custom: customMap, gameMode }),
+      settings,
+      seed,
+      replay: replayRef.current
+    });
     
-    setHighScores(newHighScores);
-    localStorage.setItem('snakeHighScores', JSON.stringify(newHighScores));
+    setScoreRecords(addScoreRecord(record));
+    if (onlineConfig.server) {
+      setScoreQueue(queueScore(record));
+      syncScores();
+    }
+    setLastPlayerName(name);
+    localStorage.setItem('snakePlayerName', name);
     setShowNameInput(false);
   };
   
+  // Start a fresh board, seeded from today's date in daily challenge mode
+  const newGame = ({
+    daily = dailyChallenge,
+    settings: gameSettings = settings,
+    campaign = campaignMode,
+    custom = customMap,
+    powerUps = powerUpsMode,
+    mode = gameMode,
+    learning = learningFor(learningChoice)
+  } = {}) => {
+    const newSeed = daily ? dailySeed() : randomSeed();
+    const config = buildConfig({ settings: gameSettings, campaign, custom, powerUps, gameMode: mode, learning });
+    rngRef.current = createRng(newSeed);
+    setSeed(newSeed);
+    updateGame(createGame(config, rngRef.current));
+    inputQueueRef.current = [];
+    comboRef.current = NO_COMBO;
+    foodEatenRef.current = 0;
+    runStartRef.current = 0;
+    replayRef.current = createReplay(newSeed, config, daily ? 'daily' : 'endless');
+    setLastReplay(null);
+    setAutopilot(false);
+    autopilotUsedRef.current = false;
+  };
+  
+  // Switch between endless and daily challenge from the start screen
+  const toggleDailyChallenge = () => {
+    if (gameStarted) return;
+    setDailyChallenge(prev => !prev);
+    newGame({ daily: !dailyChallenge });
+  };
+  
+  // Toggle classic walls from the start screen
+  const toggleWallsMode = () => {
+    if (gameStarted) return;
+    applySettings({ ...settings, walls: !settings.walls });
+  };
+  
+  // Save new settings and set up a fresh board with them. A game paused
+  // from the menu ends - it can't change board size half way through.
+  const applySettings = (nextSettings) => {
+    const saved = saveSettings(nextSettings);
+    setSettings(saved);
+    if (gameStarted && !gameOver) {
+      recordProfileGame('ended');
+      resetGame({ settings: saved });
+    } else {
+      newGame({ settings: saved });
+    }
+  };
+  
+  // Pick a game mode from the start screen. Maps are endless only, so
+  // they're switched off for the others.
+  const selectGameMode = (mode) => {
+    if (gameStarted) return;
+    setGameMode(mode);
+    saveGameMode(mode);
+    const campaign = mode === 'endless' && campaignMode;
+    setCampaignMode(campaign);
+    newGame({ mode, campaign });
+  };
+  
+  // Learning mode - pick the question pack, level or penalty
+  const selectLearning = (changes, packs = questionPacks) => {
+    if (gameStarted) return;
+    const choice = saveLearningChoice({ ...learningChoice, ...changes });
+    setLearningChoice(choice);
+    newGame({ learning: learningFor(choice, packs) });
+  };
+  
+  // Load a question pack shared as a JSON file and play it
+  const importQuestionPack = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    readFileText(file)
+      .then(text => {
+        const pack = parseQuestionPack(text);
+        const packs = [...BUILT_IN_PACKS, ...saveQuestionPack(pack)];
+        setPackError('');
+        setQuestionPacks(packs);
+        selectLearning({ pack: pack.name, level: pack.levels[0].id }, packs);
+      })
+      .catch(error => {
+        console.log('Question pack import error:', error);
+        setPackError(error.message);
+      });
+  };
+  
+  const removeQuestionPack = (name) => {
+    const packs = [...BUILT_IN_PACKS, ...deleteQuestionPack(name)];
+    setQuestionPacks(packs);
+    selectLearning({ pack: packs[0].name, level: packs[0].levels[0].id }, packs);
+  };
+  
+  // Toggle the level map campaign from the start screen
+  const toggleCampaignMode = () => {
+    if (gameStarted) return;
+    setCampaignMode(prev => !prev);
+    newGame({ campaign: !campaignMode });
+  };
+  
+  // Switch between the canvas and DOM renderers
+  const toggleRenderer = () => {
+    const next = renderer === 'canvas' ? 'dom' : 'canvas';
+    if (next === 'canvas' && !isCanvasSupported()) return;
+    setRenderer(next);
+    localStorage.setItem('snakeRenderer', next);
+  };
+  
+  // Cycle the food cues - off, speech, tones
+  const toggleFoodCues = () => {
+    const index = FOOD_CUE_MODES.findIndex(mode => mode.id === foodCueMode);
+    const next = FOOD_CUE_MODES[(index + 1) % FOOD_CUE_MODES.length].id;
+    setFoodCueMode(next);
+    foodCueModeRef.current = next;
+    saveFoodCueMode(next);
+  };
+  
+  // Toggle special food and power-ups from the start screen
+  const togglePowerUpsMode = () => {
+    if (gameStarted) return;
+    setPowerUpsMode(prev => !prev);
+    newGame({ powerUps: !powerUpsMode });
+  };
+  
   // Reset the game
-  const resetGame = () => {
-    setSnake([{ x: 10, y: 10 }]);
-    setFood(generateFood());
-    setDirection('RIGHT');
+  const resetGame = (options) => {
+    clearSavedGame();
+    setSavedGameError('');
+    newGame(options);
     setGameOver(false);
-    setScore(0);
     setGameStarted(false);
-    setSpeed(initialSpeed);
     setPaused(false);
-    setLevel(1);
+    setCountdown(null);
     setPlayerName('');
     setShowNameInput(false);
   };
+  restartRef.current = () => resetGame();
+  
+  const dropSavedGame = () => {
+    clearSavedGame();
+    setSavedGame(null);
+  };
+  
+  // Pick up the saved game where it was left, after a countdown
+  const continueSavedGame = () => {
+    try {
+      const { state, rng } = restoreSavedGame(savedGame);
+      const { modes } = savedGame;
+      setSettings(validateSettings(savedGame.settings));
+      setDailyChallenge(modes.daily);
+      setCampaignMode(modes.campaign);
+      setPowerUpsMode(modes.powerUps);
+      setCustomMap(modes.custom);
+      setGameMode(findGameMode(modes.gameMode).id);
+      rngRef.current = rng;
+      setSeed(savedGame.replay.seed);
+      updateGame(state);
+      replayRef.current = savedGame.replay;
+      inputQueueRef.current = [];
+      comboRef.current = NO_COMBO;
+      foodEatenRef.current = savedGame.foodEaten;
+      runStartRef.current = state.time;
+      autopilotUsedRef.current = savedGame.autopilotUsed;
+      setLastReplay(null);
+      setAutopilot(false);
+      setGameStarted(true);
+      setCountdown(RESUME_COUNTDOWN);
+      playSound('start');
+    } catch (error) {
+      console.log('Saved game error:', error);
+      setSavedGameError(error.message);
+    }
+    dropSavedGame();
+  };
+  continueRef.current = continueSavedGame;
+  
+  // Pause menu - start the same kind of game over, after a countdown
+  const restartGame = () => {
+    recordProfileGame('ended');
+    resetGame();
+    setGameStarted(true);
+    setCountdown(RESUME_COUNTDOWN);
+    playSound('start');
+  };
+  
+  // Pause menu - back to the start screen
+  const quitToTitle = () => {
+    recordProfileGame('ended');
+    resetGame();
+  };
   
-  // Get color for snake segment based on position
-  const getSegmentColor = (index) => {
-    return rainbowColors[index % rainbowColors.length];
+  // Open the level editor, pausing a game in progress
+  const openEditor = () => {
+    if (gameStarted && !gameOver) {
+      setPaused(true);
+    }
+    setShowEditor(true);
   };
   
+  // Test play a map straight from the editor
+  const playCustomMap = (map) => {
+    setCustomMap(map);
+    setShowEditor(false);
+    resetGame({ custom: map });
+  };
   
-  // Toggle pause
-  const togglePause = () => {
+  // Leave test play and go back to the normal board
+  const exitCustomMap = () => {
+    setCustomMap(null);
+    resetGame({ custom: null });
+  };
+  
+  // Open the arena - local two-player versus, or solo against bots -
+  // pausing a game in progress
+  const openVersus = (humans) => {
     if (gameStarted && !gameOver) {
-      setPaused(prev => !prev);
+      setPaused(true);
     }
+    setShowVersus(humans);
   };
   
-  // End game manually
-  const endGame = () => {
-    if (gameStarted && !gameOver && !paused) {
-      setGameOver(true);
-      setShowNameInput(true);
-      playSound(gameOverSoundRef);
+  // Open the replay viewer, pausing a game in progress
+  const watchReplay = (replay) => {
+    if (gameStarted && !gameOver) {
+      setPaused(true);
     }
+    setWatchingReplay(replay);
   };
   
-  // Smooth rendering with CSS transitions for snake segments
-  const getTransitionStyle = () => {
-    // Calculate transition duration based on game speed
-    // Faster snake = shorter transition
-    const transitionDuration = `${speed * 0.8}ms`;
-    return {
-      transition: `left ${transitionDuration} linear, top ${transitionDuration} linear`
-    };
+  // Load a replay shared as a JSON file
+  const importReplay = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    readFileText(file)
+      .then(text => {
+        setReplayError('');
+        watchReplay(parseReplay(text));
+      })
+      .catch(error => {
+        console.log('Replay import error:', error);
+        setReplayError(error.message);
+      });
   };
+  
   // Calculate responsive cell size
   const responsiveCellSize = screenInfo.gameSize / gridSize;
   
   return (
     <div className="flex flex-col items-center justify-center p-2 max-w-4xl mx-auto">
-      <h1 className="text-2xl font-bold mb-2">Rainbow Snake Game</h1>
+      {/* Double-clicking the title is the hidden autopilot toggle for tablets */}
+      <h1
+        className="text-2xl font-bold mb-2"
+        onDoubleClick={() => {
+          if (gameStarted && !gameOver) {
+            autopilotUsedRef.current = true;
+            setAutopilot(prev => !prev);
+          }
+        }}
+      >
+        Rainbow Snake Game
+      </h1>
       
       {/* Debug info removed */}
       
+      {/* Screen reader announcements */}
+      <div className="sr-only" aria-live="polite">{politeMessage}</div>
+      <div className="sr-only" aria-live="assertive">{alertMessage}</div>
+      
       <div className="mb-2 flex justify-between w-full max-w-md">
-        <p className="text-xl">Score: {score}</p>
-        <p className="text-xl">Level: {level}</p>
+        <p className="text-xl">
+          {activeProfile && (
+            <span className="inline-block rounded-full mr-2" style={{ width: 16, height: 16, backgroundColor: activeProfile.color }} title={activeProfile.name} />
+          )}
+          Score: {score}
+        </p>
+        {clock !== null && (
+          <p className={`text-xl ${clock <= 10000 ? 'text-red-500' : ''}`}>
+            Time: {formatPlayTime(Math.ceil(clock / 1000) * 1000)}
+          </p>
+        )}
+        {game.learning && game.learning.lives !== null && (
+          <p className="text-xl">Lives: {game.learning.lives}</p>
+        )}
+        {game.config.mode === 'zen' ? (
+          <p className="text-xl">Length: {snake.length}</p>
+        ) : (
+          <p className="text-xl">Level: {level}</p>
+        )}
       </div>
+      {/* Active power-ups with the time left on each */}
+      {game.effects.length > 0 && (
+        <div className="mb-2 flex justify-center space-x-4">
+          {game.effects.map(effect => (
+            <span
+              key={effect.type}
+              className="px-2 py-1 rounded text-black"
+              style={{ backgroundColor: POWER_UPS[effect.type].color }}
+            >
+              {POWER_UPS[effect.type].symbol} {POWER_UPS[effect.type].label} {Math.ceil(timeLeft(game, effect.expiresAt) / 1000)}s
+            </span>
+          ))}
+        </div>
+      )}
+      {audioBlocked && !audioSettings.muted && (
+        <p className="text-sm mb-2" role="status">The browser is holding the sound back - tap or press any key to turn it on</p>
+      )}
+      {autopilot && (
+        <p className="text-sm mb-2">Autopilot is steering - press an arrow key to take over</p>
+      )}
+      {dailyChallenge && (
+        <p className="text-sm mb-2">Daily Challenge - {dateKey()}</p>
+      )}
+      {game.config.mode === 'survival' && (
+        <p className="text-sm mb-2">Survival - {game.speed}ms a move, {obstacles.length} {obstacles.length === 1 ? 'wall' : 'walls'}</p>
+      )}
+      {game.config.mode === 'zen' && (
+        <p className="text-sm mb-2">Zen - no crashes. Press {keyLabel(bindings.end)} when you're done</p>
+      )}
+      {game.learning && (
+        <div className="mb-2 text-center">
+          <p className="text-2xl font-bold" aria-hidden="true">{questionText(game.config.learning, game.learning)}</p>
+          {questionHint(game.config.learning, game.learning) && (
+            <p className="text-sm">{questionHint(game.config.learning, game.learning)}</p>
+          )}
+        </div>
+      )}
+      {currentMap && (
+        <p className="text-sm mb-2">
+          {customMap ? 'Testing map' : 'Map'}: {currentMap.name}{settings.walls ? ' (walls)' : ''}
+        </p>
+      )}
       
       <div
         id="game-area"
+        role="region"
+        aria-label="Game board"
         className="relative border-2 border-gray-800"
         style={{
           width: gridSize * responsiveCellSize,
           height: gridSize * responsiveCellSize,
-          background: 'linear-gradient(135deg, #e0f7fa 0%, #d1c4e9 100%)'
+          background: BOARD_BACKGROUND
         }}
       >
+        {/* Demo snake playing behind the start screen */}
+        {!gameStarted && !gameOver && demoGame && (
+          <div style={{ opacity: 0.4 }} aria-hidden="true">
+            {renderer === 'canvas' ? (
+              <CanvasBoard
+                ref={demoBoardRef}
+                snake={demoGame.snake}
+                food={demoGame.food}
+                obstacles={demoGame.obstacles}
+                gridSize={gridSize}
+                cellSize={responsiveCellSize}
+                speed={effectiveSpeed(demoGame)}
+                choices={demoGame.choices}
+                powerUp={demoGame.powerUp}
+                palette={themePalette}
+              />
+            ) : (
+              <BoardPieces
+                snake={demoGame.snake}
+                food={demoGame.food}
+                obstacles={demoGame.obstacles}
+                cellSize={responsiveCellSize}
+                speed={effectiveSpeed(demoGame)}
+                choices={demoGame.choices}
+                powerUp={demoGame.powerUp}
+                palette={themePalette}
+              />
+            )}
+          </div>
+        )}
+        
         {/* Game start overlay with cute snake */}
         {!gameStarted && !gameOver && (
           <div className="absolute inset-0 flex flex-col items-center justify-between">
             {/* Cute snake SVG animation in the center */}
             <div className="flex-grow flex items-center justify-center w-full" style={{ height: "80%" }}>
-              <animated.div style={snakeAnimation} className="w-full max-w-md">
+              <animated.div style={snakeAnimation} className="w-full max-w-md" aria-hidden="true">
                 <svg viewBox="0 0 400 300" xmlns="http://www.w3.org/2000/svg">
                   {/* Snake body with wavy pattern */}
                   <path
@@ -679,42 +1527,306 @@ const SnakeGame = () => {
             
             {/* Instructions at the bottom with very light semi-transparent background */}
             <div className="text-black text-center p-3 mb-12 bg-white bg-opacity-60 w-full rounded-b border-t border-gray-300 shadow-inner">
-              <p className="text-xl font-medium mb-1">Press any arrow key or button to start</p>
-              <p className="text-sm">Use arrow keys or buttons to control the snake</p>
+              {savedGame ? (
+                <div className="mb-2" role="group" aria-labelledby="continue-title">
+                  <p id="continue-title" className="text-xl font-medium mb-1">Continue game?</p>
+                  <p className="text-sm">
+                    Score {savedGame.state.score}, level {savedGame.state.level} - saved {new Date(savedGame.savedAt).toLocaleString()}
+                  </p>
+                  <button
+                    ref={continueButtonRef}
+                    onClick={continueSavedGame}
+                    className="mt-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+                  >
+                    Continue
+                  </button>
+                  <button
+                    onClick={dropSavedGame}
+                    className="mt-2 ml-2 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded"
+                  >
+                    New Game
+                  </button>
+                </div>
+              ) : (
+                <p className="text-xl font-medium mb-1">Press any key or button to start</p>
+              )}
+              {savedGameError && <p className="text-sm text-red-500">{savedGameError}</p>}
+              <p className="text-sm">
+                Use {['up', 'left', 'down', 'right'].map(action => keyLabel(bindings[action])).join(' ')}, a gamepad or the buttons to control the snake
+              </p>
               <p className="text-sm mt-1">On mobile, you can also swipe to change direction</p>
-              <p className="text-sm mt-1">Press P to pause, X to end game</p>
+              <p className="text-sm mt-1">Press {keyLabel(bindings.pause)} to pause, {keyLabel(bindings.end)} to end game</p>
+              <div className="mt-2">
+                <label>
+                  Mode{' '}
+                  <select
+                    value={gameMode}
+                    onChange={(e) => selectGameMode(e.target.value)}
+                    className="px-2 py-1 text-black"
+                  >
+                    {GAME_MODES.map(mode => (
+                      <option key={mode.id} value={mode.id}>{mode.label} - {mode.description}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              {gameMode === 'learning' && (
+                <div className="mt-2 flex flex-wrap justify-center gap-2">
+                  <label>
+                    Questions{' '}
+                    <select
+                      value={learningPick.pack.name}
+                      onChange={(e) => selectLearning({ pack: e.target.value, level: '' })}
+                      className="px-2 py-1 text-black"
+                    >
+                      {questionPacks.map(pack => (
+                        <option key={pack.name} value={pack.name}>{pack.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Level{' '}
+                    <select
+                      value={learningPick.level.id}
+                      onChange={(e) => selectLearning({ level: e.target.value })}
+                      className="px-2 py-1 text-black"
+                    >
+                      {learningPick.pack.levels.map(packLevel => (
+                        <option key={packLevel.id} value={packLevel.id}>{packLevel.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Wrong answers{' '}
+                    <select
+                      value={learningChoice.penalty}
+                      onChange={(e) => selectLearning({ penalty: e.target.value })}
+                      className="px-2 py-1 text-black"
+                    >
+                      {LEARNING_PENALTIES.map(penalty => (
+                        <option key={penalty.id} value={penalty.id}>{penalty.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="px-2 py-1 bg-gray-200 text-black rounded cursor-pointer">
+                    Load Question Pack
+                    <input type="file" accept="application/json,.json" onChange={importQuestionPack} className="hidden" />
+                  </label>
+                  {!BUILT_IN_PACKS.some(pack => pack.name === learningPick.pack.name) && (
+                    <button
+                      onClick={() => removeQuestionPack(learningPick.pack.name)}
+                      className="px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded"
+                    >
+                      Remove Pack
+                    </button>
+                  )}
+                </div>
+              )}
+              {packError && <p className="text-sm text-red-500" role="alert">{packError}</p>}
+              <button
+                onClick={toggleDailyChallenge}
+                className={`mt-2 px-4 py-2 ${dailyChallenge ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded`}
+              >
+                Daily Challenge: {dailyChallenge ? 'On' : 'Off'}
+              </button>
+              <button
+                onClick={toggleWallsMode}
+                className={`mt-2 ml-2 px-4 py-2 ${settings.walls ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded`}
+              >
+                Walls: {settings.walls ? 'On' : 'Off'}
+              </button>
+              <button
+                onClick={toggleCampaignMode}
+                disabled={gameMode !== 'endless'}
+                title={gameMode !== 'endless' ? 'Maps are played in Endless mode' : undefined}
+                className={`mt-2 ml-2 px-4 py-2 ${campaignMode ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded`}
+              >
+                Maps: {campaignMode ? 'On' : 'Off'}
+              </button>
+              <button
+                onClick={togglePowerUpsMode}
+                className={`mt-2 ml-2 px-4 py-2 ${powerUpsMode ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded`}
+              >
+                Power-ups: {powerUpsMode ? 'On' : 'Off'}
+              </button>
+              <button
+                onClick={toggleRenderer}
+                className="mt-2 ml-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded"
+              >
+                Graphics: {renderer === 'canvas' ? 'Canvas' : 'Classic'}
+              </button>
+              <button
+                onClick={toggleFoodCues}
+                className={`mt-2 ml-2 px-4 py-2 ${foodCueMode !== 'off' ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white rounded`}
+              >
+                Food Cues: {FOOD_CUE_MODES.find(mode => mode.id === foodCueMode).label}
+              </button>
+              <button
+                onClick={() => setShowProfiles(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Player: {activeProfile ? activeProfile.name : 'Guest'}
+              </button>
+              <button
+                onClick={() => setShowAchievements(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Achievements
+              </button>
+              <button
+                onClick={() => setShowControls(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Controls
+              </button>
+              <button
+                onClick={() => setShowOnlineScores(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Online Scores
+              </button>
+              <button
+                onClick={() => setShowSettings(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Settings
+              </button>
+              <button
+                onClick={openEditor}
+                className="mt-2 ml-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+              >
+                Level Editor
+              </button>
+              <button
+                onClick={() => openVersus(2)}
+                className="mt-2 ml-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+              >
+                2 Players
+              </button>
+              <button
+                onClick={() => openVersus(1)}
+                className="mt-2 ml-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+              >
+                Play vs Bots
+              </button>
+              <button
+                onClick={() => setShowOnlineVersus(true)}
+                className="mt-2 ml-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded"
+              >
+                Online Race
+              </button>
+              {customMap && (
+                <button
+                  onClick={exitCustomMap}
+                  className="mt-2 ml-2 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded"
+                >
+                  Exit Test Play
+                </button>
+              )}
             </div>
           </div>
         )}
         
-        {/* Pause overlay */}
+        {/* Pause menu */}
         {paused && (
-          <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+          <div
+            ref={pauseDialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="pause-title"
+            className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center"
+          >
             <div className="text-white text-center">
-              <p className="text-xl mb-4">Game Paused</p>
-              <p>Press P to resume</p>
+              <p id="pause-title" className="text-xl mb-2">Game Paused</p>
+              <p className="text-sm mb-4">Press {keyLabel(bindings.pause)} or Escape to resume</p>
+              <div className="flex flex-col">
+                <button
+                  onClick={resumeGame}
+                  className="mb-2 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+                >
+                  Resume
+                </button>
+                <button
+                  onClick={restartGame}
+                  className="mb-2 px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600"
+                >
+                  Restart
+                </button>
+                <button
+                  onClick={() => setShowSettings(true)}
+                  className="mb-2 px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                >
+                  Settings
+                </button>
+                <button
+                  onClick={() => setShowControls(true)}
+                  className="mb-2 px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                >
+                  Controls
+                </button>
+                <button
+                  onClick={endGame}
+                  className="mb-2 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
+                >
+                  End Game
+                </button>
+                <button
+                  onClick={quitToTitle}
+                  className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
+                >
+                  Quit to Title
+                </button>
+              </div>
             </div>
           </div>
         )}
         
+        {/* Resume countdown */}
+        {countdown !== null && !paused && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <p
+              className="text-3xl font-bold text-white bg-black bg-opacity-75 rounded-full flex items-center justify-center"
+              style={{ width: 80, height: 80 }}
+            >
+              {countdown}
+            </p>
+          </div>
+        )}
+        
         {/* Game over overlay with name input */}
         {gameOver && (
-          <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+          <div
+            ref={gameOverDialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="game-over-title"
+            className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center"
+          >
             <div className="text-white text-center">
-              <p className="text-xl mb-2">Game Over!</p>
-              <p className="mb-4">Your score: {score}</p>
+              <p id="game-over-title" className="text-xl mb-2">{clock === 0 ? "Time's Up!" : 'Game Over!'}</p>
+              <p className="mb-2">Your score: {score}</p>
+              {game.learning && (
+                <LearningReport config={game.config.learning} report={learningReport(game.config.learning, game.learning)} />
+              )}
+              {autopilotUsedRef.current && (
+                <p className="text-sm mb-2">Autopilot games don't go on the high score list</p>
+              )}
+              <p className="text-sm mb-4">
+                {dailyChallenge ? `Daily Challenge ${dateKey()} - ` : ''}Seed: {seed}
+              </p>
               
               {showNameInput ? (
                 <div className="mb-4">
-                  <p className="mb-2">Enter your name:</p>
+                  <label htmlFor="player-name" className="block mb-2">Enter your name:</label>
                   <input
                     ref={nameInputRef}
+                    id="player-name"
                     type="text"
                     value={playerName}
                     onChange={(e) => setPlayerName(e.target.value)}
                     className="px-2 py-1 text-black w-full mb-2"
                     maxLength={15}
-                    placeholder="Your Name"
+                    placeholder={activeProfile ? activeProfile.name : 'Your Name'}
                   />
                   <button 
                     onClick={saveHighScore}
@@ -722,47 +1834,69 @@ const SnakeGame = () => {
                   >
                     Save Score
                   </button>
+                  <p className="text-sm mt-2">Press Escape to skip</p>
                 </div>
               ) : (
                 <button 
-                  onClick={resetGame}
+                  ref={playAgainRef}
+                  onClick={() => resetGame()}
                   className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
                 >
-                  Play Again
+                  Play Again ({keyLabel(bindings.restart)})
+                </button>
+              )}
+              
+              {lastReplay && !showNameInput && (
+                <button 
+                  onClick={() => watchReplay(lastReplay)}
+                  className="ml-2 px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                >
+                  Watch Replay
+                </button>
+              )}
+              
+              {customMap && !showNameInput && (
+                <button 
+                  onClick={openEditor}
+                  className="ml-2 px-4 py-2 bg-gray-200 text-black rounded"
+                >
+                  Edit Map
                 </button>
               )}
             </div>
           </div>
         )}
         
-        {/* Food - only visible when game has started */}
-        {gameStarted && (
-          <div
-            className="absolute rounded-full bg-red-500"
-            style={{
-              width: responsiveCellSize - 2,
-              height: responsiveCellSize - 2,
-              left: food.x * responsiveCellSize + 1,
-              top: food.y * responsiveCellSize + 1
-            }}
+        {/* Food and snake - only visible when game has started */}
+        {/* The board is announced through the live regions instead */}
+        {gameStarted && renderer === 'canvas' && (
+          <CanvasBoard
+            ref={boardRef}
+            snake={snake}
+            food={food}
+            obstacles={obstacles}
+            choices={game.choices}
+            powerUp={game.powerUp}
+            ghost={game.effects.some(effect => effect.type === 'ghost')}
+            gridSize={gridSize}
+            cellSize={responsiveCellSize}
+            speed={effectiveSpeed(game)}
+            palette={snakePalette}
           />
         )}
-        
-        {/* Snake - only visible when game has started */}
-        {gameStarted && snake.map((segment, index) => (
-          <div
-            key={index}
-            className="absolute rounded"
-            style={{
-              width: responsiveCellSize - 2,
-              height: responsiveCellSize - 2,
-              left: segment.x * responsiveCellSize + 1,
-              top: segment.y * responsiveCellSize + 1,
-              backgroundColor: getSegmentColor(index),
-              ...getTransitionStyle()
-            }}
+        {gameStarted && renderer === 'dom' && (
+          <BoardPieces
+            snake={snake}
+            food={food}
+            obstacles={obstacles}
+            choices={game.choices}
+            powerUp={game.powerUp}
+            ghost={game.effects.some(effect => effect.type === 'ghost')}
+            cellSize={responsiveCellSize}
+            speed={effectiveSpeed(game)}
+            palette={snakePalette}
           />
-        ))}
+        )}
         
         {/* Level-up animation */}
         {showLevelUpAnimation && (
@@ -773,6 +1907,21 @@ const SnakeGame = () => {
             <div className="bg-yellow-500 bg-opacity-80 text-white px-6 py-4 rounded-lg shadow-lg text-center">
               <h2 className="text-2xl font-bold">LEVEL UP!</h2>
               <p className="text-xl">Level {level}</p>
+              {currentMap && <p>{currentMap.name}</p>}
+            </div>
+          </animated.div>
+        )}
+        
+        {/* Achievement unlocked toast */}
+        {achievementToasts.length > 0 && (
+          <animated.div
+            className="absolute inset-0 flex justify-center pointer-events-none"
+            style={achievementAnimation}
+          >
+            <div className="mt-2 bg-green-500 bg-opacity-80 text-white px-6 py-4 rounded-lg shadow-lg text-center" style={{ height: 'fit-content' }}>
+              <h2 className="text-xl font-bold">🏆 {achievementToasts[0].label}</h2>
+              <p>{achievementToasts[0].description}</p>
+              <p className="text-sm">New skin: {SKINS[achievementToasts[0].skin].label}</p>
             </div>
           </animated.div>
         )}
@@ -789,21 +1938,21 @@ const SnakeGame = () => {
             className="flex-1 mx-2 py- bg-yellow-500 hover:bg-yellow-600 active:bg-yellow-700 text-white rounded-xl shadow-lg text-lg font-bold border-4 border-yellow-400 transition-colors duration-75"
             aria-label="Pause or Resume Game"
           >
-            {paused ? "Resume (P)" : "Pause (P)"}
+            {paused ? "Resume" : "Pause"} ({keyLabel(bindings.pause)})
           </button>
           <button
             onClick={endGame}
             className="flex-1 mx-2 py-6 bg-red-500 hover:bg-red-600 active:bg-red-700 text-white rounded-xl shadow-lg text-lg font-bold border-4 border-red-400 transition-colors duration-75"
             aria-label="End Game"
           >
-            End Game (X)
+            End Game ({keyLabel(bindings.end)})
           </button>
           <button
-            onClick={() => setSoundEnabled(prev => !prev)}
-            className={`flex-1 mx-2 py-6 ${soundEnabled ? 'bg-blue-500 hover:bg-blue-600 active:bg-blue-700 border-blue-400' : 'bg-gray-500 hover:bg-gray-600 active:bg-gray-700 border-gray-400'} text-white rounded-xl shadow-lg text-lg font-bold border-4 transition-colors duration-75`}
+            onClick={() => updateAudioSettings({ ...audioSettings, muted: !audioSettings.muted })}
+            className={`flex-1 mx-2 py-6 ${!audioSettings.muted ? 'bg-blue-500 hover:bg-blue-600 active:bg-blue-700 border-blue-400' : 'bg-gray-500 hover:bg-gray-600 active:bg-gray-700 border-gray-400'} text-white rounded-xl shadow-lg text-lg font-bold border-4 transition-colors duration-75`}
             aria-label="Toggle Sound"
           >
-            Sound: {soundEnabled ? "On" : "Off"}
+            Sound: {!audioSettings.muted ? "On" : "Off"} ({keyLabel(bindings.mute)})
           </button>
         </div>
         
@@ -857,22 +2006,143 @@ const SnakeGame = () => {
       </div>
       
       {/* High Scores */}
+      <Leaderboard
+        records={scoreRecords}
+        initialMode={scoreModeFor({ daily: dailyChallenge, campaign: campaignMode, custom: customMap, gameMode })}
+        playerName={activeProfile ? activeProfile.name : lastPlayerName}
+        onWatch={watchReplay}
+        server={onlineConfig.server}
+        friends={onlineConfig.friends}
+      />
+      {syncMessage && <p className="mt-2 text-sm" role="status">{syncMessage}</p>}
+      
+      {/* Replay import */}
       <div className="mt-3 w-full max-w-md">
-        <h2 className="text-xl font-bold mb-2">High Scores</h2>
-        <div className="bg-gray-100 p-3 rounded">
-          {highScores.length > 0 ? (
-            <ol className="list-decimal list-inside">
-              {highScores.map((highScore, index) => (
-                <li key={index} className="mb-1">
-                  {highScore.name}: {highScore.score} {highScore.score === 1 ? 'point' : 'points'}
-                </li>
-              ))}
-            </ol>
-          ) : (
-            <p>No high scores yet. Play to set a record!</p>
-          )}
-        </div>
+        <label className="px-4 py-2 bg-gray-200 rounded cursor-pointer">
+          Import Replay
+          <input type="file" accept="application/json,.json" onChange={importReplay} className="hidden" />
+        </label>
+        {replayError && <p className="mt-2 text-red-500">{replayError}</p>}
       </div>
+      
+      {/* Color theme */}
+      <div className="mt-3 w-full max-w-md">
+        <label>
+          Theme{' '}
+          <select
+            value={themeChoice}
+            onChange={(e) => {
+              setThemeChoice(e.target.value);
+              saveThemeChoice(e.target.value);
+            }}
+            className="px-2 py-1"
+          >
+            {THEME_CHOICES.map(choice => (
+              <option key={choice.id} value={choice.id}>
+                {choice.id === 'system' ? `${choice.label} (${THEMES[resolveTheme('system')].label})` : choice.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      {/* Volume mixing */}
+      <div className="mt-3 w-full max-w-md">
+        <SoundControls settings={audioSettings} onChange={updateAudioSettings} />
+      </div>
+      
+      {showProfiles && (
+        <ProfilesScreen
+          store={profileStore}
+          onChange={updateProfiles}
+          onClose={() => setShowProfiles(false)}
+        />
+      )}
+      
+      {showAchievements && (
+        <AchievementsScreen
+          progress={achievementProgress}
+          playerName={activeProfile ? activeProfile.name : 'Guest'}
+          onSelectSkin={(skinId) => updateAchievements(selectSkin(achievementStore, playerKey, skinId))}
+          onClose={() => setShowAchievements(false)}
+        />
+      )}
+      
+      {showControls && (
+        <ControlsScreen
+          bindings={bindings}
+          playerName={activeProfile ? activeProfile.name : 'Guest'}
+          onSave={(nextBindings) => {
+            setControlsStore(saveControls(setBindings(controlsStore, playerKey, nextBindings)));
+            setShowControls(false);
+          }}
+          onClose={() => setShowControls(false)}
+        />
+      )}
+      
+      {showOnlineScores && (
+        <OnlineScoresPanel
+          config={onlineConfig}
+          queueLength={scoreQueue.length}
+          syncMessage={syncMessage}
+          onSave={(nextConfig) => setOnlineConfig(saveOnlineConfig(nextConfig))}
+          onSendNow={() => syncScores(Infinity)}
+          onClose={() => setShowOnlineScores(false)}
+        />
+      )}
+      
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          inGame={gameStarted && !gameOver}
+          onSave={(nextSettings) => {
+            applySettings(nextSettings);
+            setShowSettings(false);
+          }}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+      
+      {showEditor && (
+        <LevelEditor
+          initialMap={customMap}
+          boardSize={screenInfo.gameSize}
+          onPlay={playCustomMap}
+          onClose={() => setShowEditor(false)}
+        />
+      )}
+      
+      {showVersus > 0 && (
+        <VersusGame
+          humans={showVersus}
+          config={buildConfig({ settings, campaign: false, custom: null, powerUps: false })}
+          boardSize={screenInfo.gameSize}
+          onSound={playSound}
+          onClose={() => setShowVersus(0)}
+        />
+      )}
+      
+      {showOnlineVersus && (
+        <OnlineVersus
+          settings={settings}
+          boardSize={screenInfo.gameSize}
+          playerName={activeProfile ? activeProfile.name : lastPlayerName}
+          directionRef={onlineDirectionRef}
+          onDirection={handleDirectionChange}
+          onSound={playSound}
+          onClose={() => setShowOnlineVersus(false)}
+        />
+      )}
+      
+      {watchingReplay && (
+        <ReplayViewer
+          replay={watchingReplay}
+          cellSize={screenInfo.gameSize / watchingReplay.config.gridSize}
+          renderer={renderer}
+          palette={themePalette}
+          onClose={() => setWatchingReplay(null)}
+        />
+      )}
     </div>
   );
 };
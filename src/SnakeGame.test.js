@@ -0,0 +1,60 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import SnakeGame from './SnakeGame';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('ending a paused game', () => {
+  let container;
+  let root;
+
+  const press = (key) => act(() => {
+    window.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  });
+
+  const buttonLabeled = (text) => (
+    [...container.querySelectorAll('[role="dialog"] button')].find(button => button.textContent === text)
+  );
+
+  // Start a game and pause it
+  const startPausedGame = () => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+    // root.render is React's own, not Testing Library's, so it needs act
+    // eslint-disable-next-line testing-library/no-unnecessary-act
+    act(() => root.render(<SnakeGame />));
+    press('ArrowUp');
+    press('p');
+    expect(container.textContent).toContain('Game Paused');
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // No canvas in jsdom - the board falls back to plain elements
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => null);
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    jest.restoreAllMocks();
+  });
+
+  it('ends from the end key', () => {
+    startPausedGame();
+    press('x');
+    expect(container.textContent).not.toContain('Game Paused');
+    expect(container.textContent).toContain('Game Over!');
+  });
+
+  it('ends from the pause menu', () => {
+    startPausedGame();
+    act(() => {
+      buttonLabeled('End Game').click();
+    });
+    expect(container.textContent).not.toContain('Game Paused');
+    expect(container.textContent).toContain('Game Over!');
+  });
+});
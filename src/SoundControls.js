@@ -0,0 +1,33 @@
+import React from 'react';
+import { VOLUME_CHANNELS } from './soundManager';
+
+// Volume sliders and mute. Changes apply (and are saved) straight away.
+const SoundControls = ({ settings, onChange }) => (
+  <div className="bg-gray-100 p-3 rounded w-full">
+    {VOLUME_CHANNELS.map(channel => (
+      <label key={channel.id} className="mb-2 flex justify-between items-center">
+        {channel.label}
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(settings[channel.id] * 100)}
+          onChange={(e) => onChange({ ...settings, [channel.id]: Number(e.target.value) / 100 })}
+          disabled={settings.muted}
+          className="ml-2"
+        />
+      </label>
+    ))}
+    <label className="flex justify-between items-center">
+      Mute everything
+      <input
+        type="checkbox"
+        checked={settings.muted}
+        onChange={(e) => onChange({ ...settings, muted: e.target.checked })}
+        className="ml-2"
+      />
+    </label>
+  </div>
+);
+
+export default SoundControls;
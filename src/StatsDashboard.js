@@ -0,0 +1,86 @@
+import React from 'react';
+import { DEATH_CAUSES } from './profiles';
+import { formatPlayTime } from './highScores';
+
+// Games shown in the recent scores chart
+const chartGames = 20;
+const chartHeight = 100;
+
+const StatTile = ({ label, value }) => (
+  <div className="bg-white p-2 rounded text-center">
+    <p className="text-xl font-bold">{value}</p>
+    <p className="text-sm">{label}</p>
+  </div>
+);
+
+// Lifetime stats for one profile, with simple bar charts drawn from divs
+const StatsDashboard = ({ profile }) => {
+  const { stats, history } = profile;
+  const recent = history.slice(-chartGames);
+  const bestRecent = Math.max(1, ...recent.map(game => game.score));
+  const totalDeaths = DEATH_CAUSES.reduce((total, cause) => total + stats.deaths[cause.id], 0);
+  const averageScore = history.length > 0
+    ? Math.round(history.reduce((total, game) => total + game.score, 0) / history.length)
+    : 0;
+
+  return (
+    <div className="bg-gray-100 p-3 rounded w-full max-w-md">
+      <h2 className="text-xl font-bold mb-2">
+        <span className="inline-block rounded-full mr-2" style={{ width: 16, height: 16, backgroundColor: profile.color }} />
+        {profile.name}'s Stats
+      </h2>
+
+      <div className="grid grid-cols-3 gap-2 mb-3">
+        <StatTile label="Games played" value={stats.gamesPlayed} />
+        <StatTile label="Food eaten" value={stats.foodEaten} />
+        <StatTile label="Longest snake" value={stats.longestSnake} />
+        <StatTile label="Highest level" value={stats.highestLevel} />
+        <StatTile label="Play time" value={formatPlayTime(stats.totalPlayTime)} />
+        <StatTile label="Average score" value={averageScore} />
+      </div>
+
+      <h3 className="font-bold mb-1">Recent scores</h3>
+      {recent.length > 0 ? (
+        <div className="flex items-end mb-3 bg-white p-2 rounded" style={{ height: chartHeight + 16 }}>
+          {recent.map((game, index) => (
+            <div
+              key={`${game.date}-${index}`}
+              className="flex-1 mx-1 rounded"
+              style={{
+                height: Math.max(2, (game.score / bestRecent) * chartHeight),
+                backgroundColor: profile.color
+              }}
+              title={`${game.score} points`}
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="mb-3">No games yet.</p>
+      )}
+
+      <h3 className="font-bold mb-1">How games ended</h3>
+      {totalDeaths > 0 ? (
+        <>
+          <div className="flex mb-1 rounded overflow-hidden" style={{ height: 20 }}>
+            {DEATH_CAUSES.filter(cause => stats.deaths[cause.id] > 0).map(cause => (
+              <div
+                key={cause.id}
+                style={{ width: `${(stats.deaths[cause.id] / totalDeaths) * 100}%`, backgroundColor: cause.color }}
+              />
+            ))}
+          </div>
+          {DEATH_CAUSES.map(cause => (
+            <p key={cause.id} className="text-sm">
+              <span className="inline-block mr-2" style={{ width: 10, height: 10, backgroundColor: cause.color }} />
+              {cause.label}: {stats.deaths[cause.id]}
+            </p>
+          ))}
+        </>
+      ) : (
+        <p>No games yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import BoardPieces, { botPalettes, oceanColors, rainbowColors } from './BoardPieces';
+import { changePlayerDirection, createArena, tickArena } from './arenaEngine';
+import { BOT_DIFFICULTIES, chooseBotDirection } from './bots';
+import { queueDirection } from './snakeEngine';
+import { createRng, randomSeed } from './random';
+import { BOARD_BACKGROUND } from './themes';
+
+// Two players on one keyboard - arrows for player one, WASD for player two
+const humanPlayers = [
+  { id: 'p1', name: 'Player 1', controls: 'Arrow keys', palette: rainbowColors },
+  { id: 'p2', name: 'Player 2', controls: 'W A S D', palette: oceanColors }
+];
+
+// The board has four start positions, so humans and bots share them
+const maxSnakes = 4;
+
+const createBots = (count, difficulty) => {
+  const { label } = BOT_DIFFICULTIES.find(item => item.id === difficulty);
+  return Array.from({ length: count }, (_, index) => ({
+    id: `bot${index + 1}`,
+    name: `${label} Bot ${index + 1}`,
+    controller: 'bot',
+    difficulty,
+    palette: botPalettes[index % botPalettes.length]
+  }));
+};
+
+const keyBindings = {
+  ArrowUp: ['p1', 'UP'],
+  ArrowDown: ['p1', 'DOWN'],
+  ArrowLeft: ['p1', 'LEFT'],
+  ArrowRight: ['p1', 'RIGHT'],
+  w: ['p2', 'UP'],
+  s: ['p2', 'DOWN'],
+  a: ['p2', 'LEFT'],
+  d: ['p2', 'RIGHT']
+};
+
+export const deathMessages = {
+  wall: 'hit a wall',
+  self: 'ran into itself',
+  snake: 'ran into another snake',
+  headOn: 'crashed head-on',
+  left: 'left the game'
+};
+
+// Local arena: two players on one keyboard (humans = 2), or a solo player
+// against computer snakes (humans = 1). Bots can join either way.
+const VersusGame = ({ humans = 2, config, boardSize, onSound, onClose }) => {
+  const [botCount, setBotCount] = useState(humans === 1 ? 1 : 0);
+  const [botDifficulty, setBotDifficulty] = useState('medium');
+  const players = humanPlayers.slice(0, humans).concat(createBots(botCount, botDifficulty));
+  const playersKey = players.map(player => player.id).join(',') + botDifficulty;
+  // A solo player always has at least one bot to play against
+  const minBots = humans === 1 ? 1 : 0;
+  const botCountOptions = Array.from({ length: maxSnakes - humans - minBots + 1 }, (_, index) => minBots + index);
+
+  const rngRef = useRef(null);
+  const newArena = useCallback(() => {
+    rngRef.current = createRng(randomSeed());
+    return createArena(config, players, rngRef.current);
+    // players is rebuilt every render - playersKey tracks its contents
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [config, playersKey]);
+
+  const [arena, setArena] = useState(() => newArena());
+  const [roundStarted, setRoundStarted] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [tally, setTally] = useState({ draws: 0 });
+
+  // Like gameRef in SnakeGame - inputs and the loop update it synchronously
+  const arenaRef = useRef(arena);
+  const updateArena = useCallback((nextArena) => {
+    arenaRef.current = nextArena;
+    setArena(nextArena);
+  }, []);
+  // Each player's turns waiting for the next ticks, one used per tick like
+  // the single-player game, so quick presses can't reverse a snake
+  const turnsRef = useRef({});
+
+  const cellSize = boardSize / config.gridSize;
+  
+  // Changing the bot lineup before a round sets up a fresh board
+  useEffect(() => {
+    if (!roundStarted) {
+      turnsRef.current = {};
+      updateArena(newArena());
+      setTally({ draws: 0 });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [playersKey]);
+
+  const startRound = useCallback(() => {
+    if (arenaRef.current.gameOver) {
+      updateArena(newArena());
+    }
+    turnsRef.current = {};
+    setPaused(false);
+    setRoundStarted(true);
+    onSound('start');
+  }, [newArena, updateArena, onSound]);
+
+  // Keyboard controls for both players
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+      if (key === 'Escape') {
+        onClose();
+        return;
+      }
+
+      if (!roundStarted || arenaRef.current.gameOver) {
+        if (key === ' ' || key === 'Enter') {
+          startRound();
+        }
+        return;
+      }
+
+      if (key === 'p') {
+        setPaused(prev => !prev);
+        return;
+      }
+
+      const binding = keyBindings[key];
+      const player = binding && arenaRef.current.players.find(item => item.id === binding[0]);
+      if (player && player.alive && !paused) {
+        const [id, dir] = binding;
+        turnsRef.current = { ...turnsRef.current, [id]: queueDirection(turnsRef.current[id] || [], player.direction, dir) };
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [roundStarted, paused, startRound, onClose]);
+
+  // Game loop - same timing as the single-player loop
+  useEffect(() => {
+    if (!roundStarted || paused || arena.gameOver) return;
+
+    let lastMoveTime = Date.now();
+    let animationFrameId = null;
+
+    const gameLoop = () => {
+      const currentTime = Date.now();
+      if (currentTime - lastMoveTime >= arenaRef.current.speed) {
+        // One queued turn per player and bots pick theirs, then every snake
+        // moves under the same rules
+        let current = arenaRef.current;
+        Object.keys(turnsRef.current).forEach(id => {
+          const [turn, ...rest] = turnsRef.current[id];
+          if (turn) {
+            current = changePlayerDirection(current, id, turn);
+            turnsRef.current = { ...turnsRef.current, [id]: rest };
+          }
+        });
+        current.players
+          .filter(player => player.controller === 'bot' && player.alive)
+          .forEach(bot => {
+            const dir = chooseBotDirection(current, bot.id, bot.difficulty, Math.random);
+            current = changePlayerDirection(current, bot.id, dir);
+          });
+        
+        const { state: nextArena, events } = tickArena(current, rngRef.current);
+        updateArena(nextArena);
+        lastMoveTime = currentTime;
+
+        events.forEach(event => {
+          switch (event.type) {
+            case 'eat':
+              onSound('eat');
+              break;
+            case 'levelUp':
+              onSound('levelUp');
+              break;
+            case 'gameOver':
+              onSound('gameOver');
+              setTally(prev => {
+                const key = event.winner || 'draws';
+                return { ...prev, [key]: (prev[key] || 0) + 1 };
+              });
+              break;
+            default:
+              break;
+          }
+        });
+      }
+      animationFrameId = requestAnimationFrame(gameLoop);
+    };
+
+    animationFrameId = requestAnimationFrame(gameLoop);
+    return () => {
+      if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+      }
+    };
+  }, [roundStarted, paused, arena.gameOver, updateArena, onSound]);
+
+  const winner = arena.players.find(player => player.id === arena.winner);
+
+  return (
+    <div className="fixed inset-0 bg-white z-50 overflow-auto">
+      <div className="flex flex-col items-center p-2 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold mb-2">{humans === 1 ? 'Play vs Bots' : 'Versus Mode'}</h1>
+
+        <div className="mb-2 flex justify-between w-full max-w-md">
+          {arena.players.map(player => (
+            <p key={player.id} className="text-xl" style={{ color: player.palette[0] }}>
+              {player.name}: {player.score}
+            </p>
+          ))}
+        </div>
+        <p className="text-sm mb-2">
+          Rounds won - {arena.players.map(player => `${player.name}: ${tally[player.id] || 0}`).join(', ')}, Draws: {tally.draws}
+        </p>
+
+        <div
+          className="relative border-2 border-gray-800"
+          style={{
+            width: config.gridSize * cellSize,
+            height: config.gridSize * cellSize,
+            background: BOARD_BACKGROUND
+          }}
+        >
+          {roundStarted && arena.players.map((player, index) => (
+            <div key={player.id} style={{ opacity: player.alive ? 1 : 0.3 }}>
+              <BoardPieces
+                snake={player.snake}
+                food={index === 0 ? arena.food : null}
+                obstacles={index === 0 ? arena.obstacles : []}
+                cellSize={cellSize}
+                speed={arena.speed}
+                palette={player.palette}
+              />
+            </div>
+          ))}
+
+          {/* Start screen with both players' controls */}
+          {!roundStarted && (
+            <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+              <div className="text-white text-center">
+                {humanPlayers.slice(0, humans).map(player => (
+                  <p key={player.id} className="mb-2">{player.name}: {player.controls}</p>
+                ))}
+                
+                {/* Computer opponents */}
+                <div className="mb-2">
+                  <label>
+                    Bots{' '}
+                    <select
+                      value={botCount}
+                      onChange={(e) => setBotCount(Number(e.target.value))}
+                      className="px-2 py-1 text-black"
+                    >
+                      {botCountOptions.map(count => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {botCount > 0 && (
+                    <select
+                      value={botDifficulty}
+                      onChange={(e) => setBotDifficulty(e.target.value)}
+                      className="ml-2 px-2 py-1 text-black"
+                      aria-label="Bot difficulty"
+                    >
+                      {BOT_DIFFICULTIES.map(item => (
+                        <option key={item.id} value={item.id}>{item.label} - {item.description}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                
+                <p className="mb-4">Press Space or Enter to start, P to pause</p>
+                <button onClick={startRound} className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded">
+                  Start Round
+                </button>
+              </div>
+            </div>
+          )}
+
+          {paused && (
+            <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+              <div className="text-white text-center">
+                <p className="text-xl mb-4">Game Paused</p>
+                <p>Press P to resume</p>
+              </div>
+            </div>
+          )}
+
+          {/* Round summary */}
+          {arena.gameOver && (
+            <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+              <div className="text-white text-center">
+                <p className="text-xl mb-2">{winner ? `${winner.name} wins!` : "It's a draw!"}</p>
+                {arena.players.map(player => (
+                  <p key={player.id} className="mb-1">
+                    {player.name}: {player.score} {player.score === 1 ? 'point' : 'points'}
+                    {player.cause ? ` - ${deathMessages[player.cause]}` : ' - survived'}
+                  </p>
+                ))}
+                <button onClick={startRound} className="mt-4 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded">
+                  Next Round
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 flex justify-center space-x-4">
+          <button
+            onClick={() => setPaused(prev => !prev)}
+            disabled={!roundStarted || arena.gameOver}
+            className="px-4 py-2 bg-yellow-500 hover:bg-yellow-600 text-white rounded"
+          >
+            {paused ? 'Resume (P)' : 'Pause (P)'}
+          </button>
+          <button onClick={onClose} className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded">
+            Quit (Esc)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersusGame;
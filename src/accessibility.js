@@ -0,0 +1,83 @@
+// Accessibility helpers shared by the game screens
+import { useEffect, useRef, useState } from 'react';
+
+const reducedMotionQuery = '(prefers-reduced-motion: reduce)';
+
+const prefersReducedMotion = () => Boolean(window.matchMedia && window.matchMedia(reducedMotionQuery).matches);
+
+// True while the device asks for less motion - springs should jump straight
+// to their end values
+export const useReducedMotion = () => {
+  const [reduced, setReduced] = useState(() => prefersReducedMotion());
+
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(reducedMotionQuery);
+    const handleChange = () => setReduced(query.matches);
+    // Older Safari only has addListener
+    if (query.addEventListener) {
+      query.addEventListener('change', handleChange);
+      return () => query.removeEventListener('change', handleChange);
+    }
+    query.addListener(handleChange);
+    return () => query.removeListener(handleChange);
+  }, []);
+
+  return reduced;
+};
+
+const focusableSelector = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), a[href], [tabindex]:not([tabindex="-1"])';
+
+// Keep keyboard focus inside a dialog while it's open. Focus moves into the
+// dialog when it opens and goes back where it was when it closes. Escape
+// calls `onEscape` when given.
+export const useFocusTrap = (containerRef, active, onEscape) => {
+  // The latest handler, so a new callback each render doesn't move focus
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    const previousFocus = document.activeElement;
+    const focusable = () => Array.from(container.querySelectorAll(focusableSelector));
+
+    if (!container.contains(document.activeElement)) {
+      const [first] = focusable();
+      (first || container).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        e.preventDefault();
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const elements = focusable();
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      if (previousFocus && previousFocus.focus && document.contains(previousFocus)) {
+        previousFocus.focus();
+      }
+    };
+  }, [containerRef, active]);
+};
@@ -0,0 +1,141 @@
+// Achievements, checked against the events the game loop already handles -
+// eat, levelUp, gameOver - plus pausing. Each one unlocks a skin.
+// Progress is kept per player: the active profile's id, or 'guest'.
+import { DEFAULT_SKIN } from './skins';
+
+const ACHIEVEMENTS_KEY = 'snakeAchievements';
+export const ACHIEVEMENTS_VERSION = 1;
+
+const SURVIVE_TIME = 3 * 60 * 1000;
+
+// Cells the snake could ever cover - the board minus the walls of the map
+const openCells = (state) => state.config.gridSize * state.config.gridSize - state.obstacles.length;
+
+// `check` gets the player's progress, the game state after the event, and
+// the game time of the last pause (or start).
+export const ACHIEVEMENTS = [
+  {
+    id: 'level5',
+    label: 'Level Up!',
+    description: 'Reach level 5',
+    skin: 'neon',
+    events: ['levelUp'],
+    check: (progress, state) => state.level >= 5
+  },
+  {
+    id: 'food100',
+    label: 'Hungry Snake',
+    description: 'Eat 100 food in total',
+    skin: 'pastel',
+    events: ['eat'],
+    check: (progress) => progress.foodEaten >= 100
+  },
+  {
+    id: 'fillQuarter',
+    label: 'Big Snake',
+    description: 'Fill 25% of the board',
+    skin: 'striped',
+    events: ['eat'],
+    check: (progress, state) => state.snake.length >= openCells(state) * 0.25
+  },
+  {
+    id: 'survive3',
+    label: 'Marathon',
+    description: 'Survive 3 minutes without pausing',
+    skin: 'monochrome',
+    events: ['eat', 'levelUp', 'gameOver'],
+    check: (progress, state, runStart) => state.time - runStart >= SURVIVE_TIME
+  }
+];
+
+const emptyProgress = () => ({ unlocked: {}, foodEaten: 0, skin: DEFAULT_SKIN });
+
+export const getProgress = (store, playerKey) => store.players[playerKey] || emptyProgress();
+
+// Skins a player can pick from
+export const unlockedSkins = (progress) => [
+  DEFAULT_SKIN,
+  ...ACHIEVEMENTS.filter(achievement => progress.unlocked[achievement.id]).map(achievement => achievement.skin)
+];
+
+const validateProgress = (item) => {
+  if (typeof item !== 'object' || item === null || typeof item.unlocked !== 'object' || item.unlocked === null) {
+    return null;
+  }
+  const unlocked = ACHIEVEMENTS.reduce((valid, achievement) => (
+    typeof item.unlocked[achievement.id] === 'string'
+      ? { ...valid, [achievement.id]: item.unlocked[achievement.id] }
+      : valid
+  ), {});
+  const progress = {
+    unlocked,
+    foodEaten: Number.isInteger(item.foodEaten) && item.foodEaten >= 0 ? item.foodEaten : 0,
+    skin: DEFAULT_SKIN
+  };
+  // A skin that isn't unlocked (or no longer exists) falls back to rainbow
+  if (unlockedSkins(progress).includes(item.skin)) {
+    progress.skin = item.skin;
+  }
+  return progress;
+};
+
+export const loadAchievements = () => {
+  try {
+    const saved = localStorage.getItem(ACHIEVEMENTS_KEY);
+    if (!saved) return { version: ACHIEVEMENTS_VERSION, players: {} };
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== ACHIEVEMENTS_VERSION || typeof parsed.players !== 'object' || parsed.players === null) {
+      throw new Error('Unknown achievements format');
+    }
+    const players = Object.keys(parsed.players).reduce((valid, key) => {
+      const progress = validateProgress(parsed.players[key]);
+      return progress ? { ...valid, [key]: progress } : valid;
+    }, {});
+    return { version: ACHIEVEMENTS_VERSION, players };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting achievements:', error);
+    localStorage.removeItem(ACHIEVEMENTS_KEY);
+    return { version: ACHIEVEMENTS_VERSION, players: {} };
+  }
+};
+
+export const saveAchievements = (store) => {
+  localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(store));
+  return store;
+};
+
+// Count the event and check every achievement that listens for it.
+// Returns the new store and the achievements unlocked just now.
+export const applyAchievementEvent = (store, playerKey, event, state, runStart, date = new Date()) => {
+  const previous = getProgress(store, playerKey);
+  let progress = event.type === 'eat'
+    ? { ...previous, foodEaten: previous.foodEaten + 1 }
+    : previous;
+
+  const unlocked = ACHIEVEMENTS.filter(achievement => (
+    !progress.unlocked[achievement.id] &&
+    achievement.events.includes(event.type) &&
+    achievement.check(progress, state, runStart)
+  ));
+  if (unlocked.length > 0) {
+    progress = {
+      ...progress,
+      unlocked: unlocked.reduce((all, achievement) => ({ ...all, [achievement.id]: date.toISOString() }), progress.unlocked)
+    };
+  }
+
+  if (progress === previous) {
+    return { store, unlocked };
+  }
+  return {
+    store: { ...store, players: { ...store.players, [playerKey]: progress } },
+    unlocked
+  };
+};
+
+export const selectSkin = (store, playerKey, skinId) => {
+  const progress = getProgress(store, playerKey);
+  if (!unlockedSkins(progress).includes(skinId)) return store;
+  return { ...store, players: { ...store.players, [playerKey]: { ...progress, skin: skinId } } };
+};
@@ -0,0 +1,196 @@
+// Several snakes on one board - local versus and computer opponents.
+// Built on the single-player rules in snakeEngine: same movement, same walls,
+// same food placement. Like snakeEngine, everything here is pure.
+//
+// Collision rules, applied after every snake has moved one cell:
+//   - A head that leaves the board in walls mode or hits an obstacle dies.
+//   - A head that moves into any cell a snake occupied before the move (its
+//     own body or another snake's) dies - head-to-body.
+//   - Heads that meet in the same cell, or swap cells, both die - head-on.
+// The round ends when at most one snake is left, or when every human player
+// is out (players with controller: 'bot' don't keep a round going on their
+// own). The last snake standing wins; otherwise the higher score among the
+// snakes still in the game wins, else it's a draw.
+import {
+  calculateSpeed,
+  generateFood,
+  isOnCells,
+  isOutOfBounds,
+  isValidTurn,
+  levelForScore,
+  moveHead
+} from './snakeEngine';
+
+// Where each player starts, as fractions of the board
+const startPositions = [
+  { x: 0.2, y: 0.25, direction: 'RIGHT' },
+  { x: 0.8, y: 0.75, direction: 'LEFT' },
+  { x: 0.8, y: 0.25, direction: 'DOWN' },
+  { x: 0.2, y: 0.75, direction: 'UP' }
+];
+
+const allCells = (players) => players.flatMap(player => player.snake);
+
+export const createArena = (config, players, random = Math.random) => {
+  const { gridSize } = config;
+  const placed = players.map((player, index) => {
+    const start = startPositions[index % startPositions.length];
+    return {
+      ...player,
+      snake: [{ x: Math.floor(start.x * gridSize), y: Math.floor(start.y * gridSize) }],
+      direction: start.direction,
+      score: 0,
+      alive: true,
+      cause: null
+    };
+  });
+
+  return {
+    config,
+    players: placed,
+    food: generateFood(allCells(placed), gridSize, random),
+    obstacles: [],
+    level: 1,
+    speed: config.initialSpeed,
+    tick: 0,
+    gameOver: false,
+    winner: null
+  };
+};
+
+// Apply a direction input for one player. Reversals are ignored.
+export const changePlayerDirection = (state, playerId, newDir) => {
+  if (state.gameOver) return state;
+  return {
+    ...state,
+    players: state.players.map(player => (
+      player.id === playerId && player.alive && isValidTurn(player.direction, newDir)
+        ? { ...player, direction: newDir }
+        : player
+    ))
+  };
+};
+
+const isHuman = (player) => player.controller !== 'bot';
+
+// The round is over when at most one snake is left or no human is playing
+const isRoundOver = (players) => {
+  const alive = players.filter(player => player.alive);
+  if (players.length === 1) return alive.length === 0;
+  return alive.length <= 1 || (players.some(isHuman) && !alive.some(isHuman));
+};
+
+// Decide the round once it's over
+const findWinner = (players, before) => {
+  const alive = players.filter(player => player.alive);
+  if (alive.length === 1) return alive[0].id;
+
+  // Compare the snakes still on the board, or those that died together this tick
+  const contenders = alive.length > 0
+    ? alive
+    : players.filter(player => before.find(prev => prev.id === player.id).alive);
+  const best = Math.max(...contenders.map(player => player.score));
+  const leaders = contenders.filter(player => player.score === best);
+  return leaders.length === 1 ? leaders[0].id : null;
+};
+
+// Advance every snake by one move. Returns the new state and the events the
+// move produced: 'eat', 'death', 'levelUp' and 'gameOver'.
+export const tickArena = (state, random = Math.random) => {
+  if (state.gameOver) {
+    return { state, events: [] };
+  }
+
+  const { config } = state;
+  const events = [];
+  const occupied = allCells(state.players.filter(player => player.alive));
+
+  // Move every head first so collisions are decided simultaneously
+  const heads = state.players.map(player => (
+    player.alive ? moveHead(player.snake[0], player.direction, config.gridSize, !config.walls) : null
+  ));
+
+  let players = state.players.map((player, index) => {
+    if (!player.alive) return player;
+    const head = heads[index];
+
+    const headOn = heads.some((other, otherIndex) => {
+      if (otherIndex === index || other === null) return false;
+      const otherOldHead = state.players[otherIndex].snake[0];
+      const sameCell = other.x === head.x && other.y === head.y;
+      const swapped = otherOldHead.x === head.x && otherOldHead.y === head.y &&
+        other.x === player.snake[0].x && other.y === player.snake[0].y;
+      return sameCell || swapped;
+    });
+
+    let cause = null;
+    if (isOutOfBounds(head, config.gridSize) || isOnCells(state.obstacles, head)) {
+      cause = 'wall';
+    } else if (headOn) {
+      cause = 'headOn';
+    } else if (isOnCells(player.snake.slice(1), head)) {
+      cause = 'self';
+    } else if (isOnCells(occupied, head)) {
+      cause = 'snake';
+    }
+
+    if (cause) {
+      events.push({ type: 'death', playerId: player.id, cause });
+      return { ...player, alive: false, cause };
+    }
+    return player;
+  });
+
+  // Survivors move, and grow if they reached the food
+  let food = state.food;
+  let ateFood = false;
+  players = players.map((player, index) => {
+    if (!player.alive) return player;
+    const head = heads[index];
+    const snake = [head, ...player.snake];
+
+    if (food !== null && head.x === food.x && head.y === food.y) {
+      ateFood = true;
+      const score = player.score + 1;
+      events.push({ type: 'eat', playerId: player.id, position: head, score });
+      return { ...player, snake, score };
+    }
+
+    snake.pop();
+    return { ...player, snake };
+  });
+
+  if (ateFood) {
+    food = generateFood(allCells(players.filter(player => player.alive)), config.gridSize, random, state.obstacles);
+  }
+
+  // The board speeds up with the leading score
+  let { level, speed } = state;
+  const newLevel = levelForScore(Math.max(...players.map(player => player.score)), config);
+  if (newLevel !== level) {
+    level = newLevel;
+    speed = calculateSpeed(newLevel, config);
+    events.push({ type: 'levelUp', level });
+  }
+
+  const roundOver = isRoundOver(players);
+  let winner = null;
+  if (roundOver) {
+    winner = findWinner(players, state.players);
+    events.push({ type: 'gameOver', winner });
+  }
+
+  return {
+    state: {
+      ...state,
+      players,
+      food,
+      level,
+      speed,
+      tick: state.tick + 1,
+      gameOver: roundOver,
+      winner
+    },
+    events
+  };
+};
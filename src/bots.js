@@ -0,0 +1,184 @@
+// Computer-controlled snakes for the arena. A bot only picks a direction;
+// moving, eating and dying go through tickArena like every other snake.
+import { DIRECTIONS, isOutOfBounds, isValidTurn, moveHead } from './snakeEngine';
+
+export const BOT_DIFFICULTIES = [
+  { id: 'easy', label: 'Easy', description: 'Wanders around, sometimes finds food' },
+  { id: 'medium', label: 'Medium', description: 'Heads straight for the food' },
+  { id: 'hard', label: 'Hard', description: 'Plans a path and avoids trapping itself' }
+];
+
+const cellKey = (cell) => `${cell.x},${cell.y}`;
+
+// Every cell a move could crash into this tick
+const blockedCells = (state) => {
+  const blocked = new Set(state.obstacles.map(cellKey));
+  state.players
+    .filter(player => player.alive)
+    .forEach(player => player.snake.forEach(segment => blocked.add(cellKey(segment))));
+  return blocked;
+};
+
+// Cells next to another snake's head - it might move there too (head-on)
+const contestedCells = (state, bot) => {
+  const contested = new Set();
+  state.players
+    .filter(player => player.alive && player.id !== bot.id)
+    .forEach(player => {
+      DIRECTIONS.forEach(dir => {
+        contested.add(cellKey(moveHead(player.snake[0], dir, state.config.gridSize, !state.config.walls)));
+      });
+    });
+  return contested;
+};
+
+const isFree = (cell, blocked, gridSize) => {
+  return !isOutOfBounds(cell, gridSize) && !blocked.has(cellKey(cell));
+};
+
+// Moves that don't crash on the next tick
+const safeMoves = (state, bot, blocked) => {
+  const { gridSize, walls } = state.config;
+  return DIRECTIONS
+    .filter(dir => isValidTurn(bot.direction, dir))
+    .map(dir => ({ dir, cell: moveHead(bot.snake[0], dir, gridSize, !walls) }))
+    .filter(move => isFree(move.cell, blocked, gridSize));
+};
+
+// Distance on the board, taking wrap-around into account
+const distance = (a, b, config) => {
+  let dx = Math.abs(a.x - b.x);
+  let dy = Math.abs(a.y - b.y);
+  if (!config.walls) {
+    dx = Math.min(dx, config.gridSize - dx);
+    dy = Math.min(dy, config.gridSize - dy);
+  }
+  return dx + dy;
+};
+
+// Number of cells reachable from a start cell, stopping once `limit` is hit
+const reachableArea = (start, blocked, config, limit) => {
+  const seen = new Set([cellKey(start)]);
+  const queue = [start];
+  while (queue.length > 0 && seen.size < limit) {
+    const cell = queue.shift();
+    DIRECTIONS.forEach(dir => {
+      const next = moveHead(cell, dir, config.gridSize, !config.walls);
+      if (isFree(next, blocked, config.gridSize) && !seen.has(cellKey(next))) {
+        seen.add(cellKey(next));
+        queue.push(next);
+      }
+    });
+  }
+  return seen.size;
+};
+
+// Breadth-first search to the food. Returns the first direction of the
+// shortest path, or null when the food can't be reached.
+const pathToFood = (state, bot, blocked) => {
+  const { config, food } = state;
+  if (food === null) return null;
+
+  const start = bot.snake[0];
+  const seen = new Set([cellKey(start)]);
+  const queue = safeMoves(state, bot, blocked).map(move => ({ cell: move.cell, first: move.dir }));
+  queue.forEach(item => seen.add(cellKey(item.cell)));
+
+  while (queue.length > 0) {
+    const { cell, first } = queue.shift();
+    if (cell.x === food.x && cell.y === food.y) return first;
+
+    DIRECTIONS.forEach(dir => {
+      const next = moveHead(cell, dir, config.gridSize, !config.walls);
+      if (isFree(next, blocked, config.gridSize) && !seen.has(cellKey(next))) {
+        seen.add(cellKey(next));
+        queue.push({ cell: next, first });
+      }
+    });
+  }
+  return null;
+};
+
+// Easy - keep going, turn now and then, dodge walls at the last moment
+const wander = (state, bot, moves, random) => {
+  const ahead = moves.find(move => move.dir === bot.direction);
+  if (ahead && random() > 0.15) return ahead.dir;
+
+  // Every now and then drift toward the food
+  if (state.food !== null && random() < 0.3) {
+    return greedy(state, bot, moves);
+  }
+  return moves[Math.floor(random() * moves.length)].dir;
+};
+
+// Medium - the safe move that gets closest to the food
+const greedy = (state, bot, moves) => {
+  if (state.food === null) return moves[0].dir;
+  const sorted = [...moves].sort((a, b) => (
+    distance(a.cell, state.food, state.config) - distance(b.cell, state.food, state.config)
+  ));
+  return sorted[0].dir;
+};
+
+// Hard - follow the shortest path to the food, but only into space big
+// enough for the whole body. Otherwise head for the most open space.
+const pathfind = (state, bot, moves, blocked) => {
+  const contested = contestedCells(state, bot);
+  const needed = bot.snake.length + 1;
+  const boardCells = state.config.gridSize * state.config.gridSize;
+
+  const scored = moves.map(move => ({
+    ...move,
+    area: reachableArea(move.cell, blocked, state.config, boardCells),
+    risky: contested.has(cellKey(move.cell))
+  }));
+  const roomy = scored.filter(move => move.area >= needed && !move.risky);
+
+  const pathDir = pathToFood(state, bot, blocked);
+  const onPath = roomy.find(move => move.dir === pathDir);
+  if (onPath) return onPath.dir;
+
+  const candidates = roomy.length > 0 ? roomy : scored;
+  const best = [...candidates].sort((a, b) => (
+    (a.risky - b.risky) || (b.area - a.area)
+  ))[0];
+  return best.dir;
+};
+
+// Pick the next direction for a bot. `random` is only used by the wanderer.
+export const chooseBotDirection = (state, botId, difficulty, random = Math.random) => {
+  const bot = state.players.find(player => player.id === botId);
+  if (!bot || !bot.alive) return null;
+
+  const blocked = blockedCells(state);
+  const moves = safeMoves(state, bot, blocked);
+
+  // Trapped - nothing left to do but keep going
+  if (moves.length === 0) return bot.direction;
+
+  switch (difficulty) {
+    case 'easy':
+      return wander(state, bot, moves, random);
+    case 'medium':
+      return greedy(state, bot, moves);
+    case 'hard':
+      return pathfind(state, bot, moves, blocked);
+    default:
+      return bot.direction;
+  }
+};
+
+// The same brains for a single-player game from snakeEngine - used by the
+// start screen demo and the autopilot
+export const chooseSoloDirection = (state, difficulty = 'hard', random = Math.random) => {
+  // Learning mode - head for the right answer and steer round the wrong ones
+  const answer = state.choices.find(choice => choice.correct);
+  const wrongChoices = state.choices.filter(choice => !choice.correct);
+  const arenaView = {
+    config: state.config,
+    food: answer || state.food,
+    obstacles: [...state.obstacles, ...wrongChoices],
+    players: [{ id: 'solo', snake: state.snake, direction: state.direction, alive: !state.gameOver }]
+  };
+  return chooseBotDirection(arenaView, 'solo', difficulty, random);
+};
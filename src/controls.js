@@ -0,0 +1,137 @@
+// Key bindings. Each action has one key, kept per player like achievements:
+// the active profile's id, or 'guest'. Letter keys match either case.
+const CONTROLS_KEY = 'snakeControls';
+export const CONTROLS_VERSION = 1;
+
+export const CONTROL_ACTIONS = [
+  { id: 'up', label: 'Move up' },
+  { id: 'down', label: 'Move down' },
+  { id: 'left', label: 'Move left' },
+  { id: 'right', label: 'Move right' },
+  { id: 'pause', label: 'Pause' },
+  { id: 'end', label: 'End game' },
+  { id: 'mute', label: 'Sound on/off' },
+  { id: 'restart', label: 'Play again' }
+];
+
+// Movement actions and the engine direction each one steers
+export const ACTION_DIRECTIONS = {
+  up: 'UP',
+  down: 'DOWN',
+  left: 'LEFT',
+  right: 'RIGHT'
+};
+
+const otherKeys = { pause: 'p', end: 'x', mute: 'm', restart: 'r' };
+
+export const CONTROL_PRESETS = {
+  arrows: {
+    label: 'Arrow keys',
+    bindings: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', ...otherKeys }
+  },
+  wasd: {
+    label: 'WASD',
+    bindings: { up: 'w', down: 's', left: 'a', right: 'd', ...otherKeys }
+  },
+  vim: {
+    label: 'Vim (HJKL)',
+    bindings: { up: 'k', down: 'j', left: 'h', right: 'l', ...otherKeys }
+  }
+};
+
+export const DEFAULT_BINDINGS = CONTROL_PRESETS.arrows.bindings;
+
+// Keys that already mean something else - focus moves, dialogs close, and
+// the teacher's toggle
+const RESERVED_KEYS = ['Tab', 'Escape', 'Enter', ' ', 't'];
+
+// Shift and friends can't be bound on their own
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Letters are stored lowercase so Caps Lock doesn't break the controls
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+// Label for a key on buttons and the help text, e.g. '↑' or 'W'
+export const keyLabel = (key) => {
+  const labels = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  return labels[key] || (key.length === 1 ? key.toUpperCase() : key);
+};
+
+// The action bound to a key event's key, or null
+export const actionForKey = (bindings, key) => {
+  const normalized = normalizeKey(key);
+  const action = CONTROL_ACTIONS.find(({ id }) => bindings[id] === normalized);
+  return action ? action.id : null;
+};
+
+// Check a key can be bound at all. Throws an Error with a message to show.
+export const validateKey = (key) => {
+  const normalized = normalizeKey(key);
+  if (MODIFIER_KEYS.includes(normalized)) {
+    throw new Error(`${keyLabel(normalized)} can't be used on its own`);
+  }
+  if (RESERVED_KEYS.includes(normalized)) {
+    throw new Error(`${normalized === ' ' ? 'Space' : keyLabel(normalized)} is reserved`);
+  }
+  return normalized;
+};
+
+// Check a full set of bindings: every action bound, no key used twice.
+// Throws an Error with a message to show.
+export const validateBindings = (bindings) => {
+  if (typeof bindings !== 'object' || bindings === null) {
+    throw new Error('Controls must be an object');
+  }
+  return CONTROL_ACTIONS.reduce((valid, { id, label }) => {
+    if (typeof bindings[id] !== 'string' || bindings[id] === '') {
+      throw new Error(`${label} needs a key`);
+    }
+    const key = validateKey(bindings[id]);
+    const clash = CONTROL_ACTIONS.find(action => valid[action.id] === key);
+    if (clash) {
+      throw new Error(`${keyLabel(key)} is used for both ${clash.label.toLowerCase()} and ${label.toLowerCase()}`);
+    }
+    return { ...valid, [id]: key };
+  }, {});
+};
+
+export const findControlPreset = (bindings) => Object.keys(CONTROL_PRESETS).find(id => (
+  CONTROL_ACTIONS.every(action => CONTROL_PRESETS[id].bindings[action.id] === bindings[action.id])
+)) || null;
+
+export const getBindings = (store, playerKey) => store.players[playerKey] || DEFAULT_BINDINGS;
+
+export const setBindings = (store, playerKey, bindings) => ({
+  ...store,
+  players: { ...store.players, [playerKey]: validateBindings(bindings) }
+});
+
+export const loadControls = () => {
+  try {
+    const saved = localStorage.getItem(CONTROLS_KEY);
+    if (!saved) return { version: CONTROLS_VERSION, players: {} };
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== CONTROLS_VERSION || typeof parsed.players !== 'object' || parsed.players === null) {
+      throw new Error('Unknown controls format');
+    }
+    // Skip players whose bindings don't check out - they get the defaults
+    const players = Object.keys(parsed.players).reduce((valid, key) => {
+      try {
+        return { ...valid, [key]: validateBindings(parsed.players[key]) };
+      } catch (error) {
+        return valid;
+      }
+    }, {});
+    return { version: CONTROLS_VERSION, players };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting controls:', error);
+    localStorage.removeItem(CONTROLS_KEY);
+    return { version: CONTROLS_VERSION, players: {} };
+  }
+};
+
+export const saveControls = (store) => {
+  localStorage.setItem(CONTROLS_KEY, JSON.stringify(store));
+  return store;
+};
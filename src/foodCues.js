@@ -0,0 +1,81 @@
+// Food cues for low-vision players - where the food is relative to the
+// snake's head, as speech or as a tone (panned left/right, higher pitch when
+// the food is above).
+const CUES_KEY = 'snakeFoodCues';
+
+export const FOOD_CUE_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'speech', label: 'Speech' },
+  { id: 'tones', label: 'Tones' }
+];
+
+// Shortest steps from the head to the food. Positive dx is right, positive
+// dy is down. Without walls the way round the edge may be shorter. Learning
+// mode has labeled foods instead - the cues go to the nearest one, with its
+// label, so they don't give the right answer away.
+export const foodOffset = (state) => {
+  const head = state.snake[0];
+  const { gridSize, walls } = state.config;
+  const shortest = (delta) => {
+    if (walls) return delta;
+    if (delta > gridSize / 2) return delta - gridSize;
+    if (delta < -gridSize / 2) return delta + gridSize;
+    return delta;
+  };
+  const offsetTo = (cell) => ({ dx: shortest(cell.x - head.x), dy: shortest(cell.y - head.y) });
+
+  if (state.choices && state.choices.length > 0) {
+    return state.choices
+      .map(choice => ({ ...offsetTo(choice), label: choice.label }))
+      .reduce((nearest, offset) => (
+        Math.abs(offset.dx) + Math.abs(offset.dy) < Math.abs(nearest.dx) + Math.abs(nearest.dy) ? offset : nearest
+      ));
+  }
+  if (!state.food) return null;
+  return offsetTo(state.food);
+};
+
+// "Food 3 right, 2 up", or "7 is 3 right, 2 up" for a labeled food
+export const describeFood = (state) => {
+  const offset = foodOffset(state);
+  if (!offset) return 'No food on the board';
+  const parts = [];
+  if (offset.dx !== 0) parts.push(`${Math.abs(offset.dx)} ${offset.dx > 0 ? 'right' : 'left'}`);
+  if (offset.dy !== 0) parts.push(`${Math.abs(offset.dy)} ${offset.dy > 0 ? 'down' : 'up'}`);
+  return offset.label ? `${offset.label} is ${parts.join(', ')}` : `Food ${parts.join(', ')}`;
+};
+
+// Speak a cue unless the last one is still being read out
+export const speakFoodCue = (text) => {
+  if (!window.speechSynthesis || window.speechSynthesis.speaking) return;
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+};
+
+// A short beep through the sound manager, so it follows the mute and volume
+// settings: panned toward the food, higher when it's above the head, louder
+// when it's close
+export const playFoodTone = (state, sound) => {
+  const offset = foodOffset(state);
+  if (!offset) return;
+
+  const { gridSize } = state.config;
+  const distance = Math.abs(offset.dx) + Math.abs(offset.dy);
+  sound.playTone({
+    frequency: 440 * Math.pow(2, -offset.dy / gridSize * 2),
+    volume: 0.05 + 0.25 * (1 - distance / gridSize),
+    pan: Math.max(-1, Math.min(1, offset.dx / (gridSize / 2)))
+  });
+};
+
+export const loadFoodCueMode = () => {
+  const saved = localStorage.getItem(CUES_KEY);
+  if (saved && FOOD_CUE_MODES.some(mode => mode.id === saved)) {
+    return saved;
+  }
+  localStorage.removeItem(CUES_KEY);
+  return 'off';
+};
+
+export const saveFoodCueMode = (mode) => {
+  localStorage.setItem(CUES_KEY, mode);
+};
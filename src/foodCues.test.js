@@ -0,0 +1,106 @@
+import { DEFAULT_CONFIG, createGame } from './snakeEngine';
+import { createRng } from './random';
+import { DEFAULT_AUDIO_SETTINGS, createSoundManager } from './soundManager';
+import { describeFood, foodOffset, playFoodTone } from './foodCues';
+
+const config = { ...DEFAULT_CONFIG, gridSize: 10, powerUps: false };
+const withFood = (food, overrides = {}) => ({ ...createGame(config, createRng(1)), food, ...overrides });
+
+describe('foodOffset', () => {
+  it('measures from the head to the food', () => {
+    expect(foodOffset(withFood({ x: 7, y: 4 }))).toEqual({ dx: 2, dy: -1 });
+    expect(describeFood(withFood({ x: 7, y: 4 }))).toBe('Food 2 right, 1 up');
+  });
+
+  it('goes round the edge when that is shorter, unless there are walls', () => {
+    expect(foodOffset(withFood({ x: 9, y: 5 }, { snake: [{ x: 1, y: 5 }] }))).toEqual({ dx: -2, dy: 0 });
+    const walled = withFood({ x: 9, y: 5 }, { snake: [{ x: 1, y: 5 }], config: { ...config, walls: true } });
+    expect(foodOffset(walled)).toEqual({ dx: 8, dy: 0 });
+  });
+});
+
+describe('learning mode cues', () => {
+  const choices = [
+    { x: 1, y: 1, label: '7', correct: true },
+    { x: 5, y: 3, label: '8', correct: false }
+  ];
+
+  it('point to the nearest labeled food', () => {
+    const state = withFood(null, { choices });
+    expect(foodOffset(state)).toEqual({ dx: 0, dy: -2, label: '8' });
+    expect(describeFood(state)).toBe('8 is 2 up');
+  });
+
+  it('play a tone even though there is no regular food', () => {
+    const sound = { playTone: jest.fn() };
+    playFoodTone(withFood(null, { choices }), sound);
+    expect(sound.playTone).toHaveBeenCalledTimes(1);
+  });
+});
+
+// Just enough Web Audio to see where the tones go
+const fakeNode = (extra = {}) => ({
+  connect: jest.fn(),
+  gain: { value: 1, setValueAtTime: jest.fn(), exponentialRampToValueAtTime: jest.fn(), setTargetAtTime: jest.fn() },
+  ...extra
+});
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = {};
+    this.gains = [];
+    this.oscillators = [];
+  }
+
+  createGain() {
+    const node = fakeNode();
+    this.gains.push(node);
+    return node;
+  }
+
+  createOscillator() {
+    const node = fakeNode({ frequency: {}, start: jest.fn(), stop: jest.fn() });
+    this.oscillators.push(node);
+    return node;
+  }
+}
+
+describe('playFoodTone', () => {
+  let contexts;
+
+  beforeEach(() => {
+    contexts = [];
+    window.AudioContext = jest.fn(() => {
+      const context = new FakeAudioContext();
+      contexts.push(context);
+      return context;
+    });
+    // Samples never finish loading in the tests
+    global.fetch = jest.fn(() => new Promise(() => {}));
+  });
+
+  afterEach(() => {
+    delete window.AudioContext;
+    delete global.fetch;
+  });
+
+  it('plays through the sound manager, panned toward the food', () => {
+    const sound = createSoundManager(DEFAULT_AUDIO_SETTINGS);
+    playFoodTone(withFood({ x: 8, y: 5 }), sound);
+
+    const [context] = contexts;
+    const [master, sfx, , envelope] = context.gains;
+    expect(context.oscillators).toHaveLength(1);
+    expect(context.oscillators[0].frequency.value).toBe(440);
+    expect(envelope.connect).toHaveBeenCalledWith(sfx);
+    expect(sfx.connect).toHaveBeenCalledWith(master);
+  });
+
+  it('stays quiet when the sound is muted', () => {
+    const sound = createSoundManager({ ...DEFAULT_AUDIO_SETTINGS, muted: true });
+    playFoodTone(withFood({ x: 8, y: 5 }), sound);
+    expect(contexts.every(context => context.oscillators.length === 0)).toBe(true);
+  });
+});
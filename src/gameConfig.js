@@ -0,0 +1,53 @@
+// Engine configs for the games the start screen can set up. The leaderboard
+// server builds them too, to check a score was played by the rules of the
+// table it's filed under.
+import { DEFAULT_CONFIG } from './snakeEngine';
+import { campaignMaps } from './levelMaps';
+import { gameModeConfig } from './gameModes';
+import { validateLearningConfig } from './learning';
+
+// Level maps bring their own grid size. Learning games have no power-ups
+// so the labeled foods are all there is to eat.
+export const buildConfig = ({ settings, campaign, custom, powerUps, gameMode = 'endless', learning = null }) => {
+  if (custom) {
+    return { ...DEFAULT_CONFIG, ...settings, gridSize: custom.gridSize, powerUps, maps: [custom] };
+  }
+  const learningGame = !campaign && gameMode === 'learning';
+  return {
+    ...DEFAULT_CONFIG,
+    ...settings,
+    ...gameModeConfig(campaign ? 'endless' : gameMode),
+    gridSize: campaign ? campaignMaps[0].gridSize : settings.gridSize,
+    powerUps: powerUps && !learningGame,
+    maps: campaign ? campaignMaps : null,
+    learning: learningGame ? learning : null
+  };
+};
+
+// The config a game filed under a score mode (see scoreModeFor) was played
+// with. Only what the player brings - the power-ups toggle, a custom map or
+// learning questions - comes from the played config, which must already have
+// been checked with parseReplay. Throws with a message to show.
+export const scoreModeConfig = (mode, settings, played) => {
+  const powerUps = played.powerUps === true;
+  if (mode === 'custom') {
+    if (!played.maps || played.maps.length !== 1) {
+      throw new Error('Custom map scores need the map they were played on');
+    }
+    return buildConfig({ settings, campaign: false, custom: played.maps[0], powerUps });
+  }
+  if (mode === 'maps') {
+    return buildConfig({ settings, campaign: true, custom: null, powerUps });
+  }
+  if (mode === 'learning' && !played.learning) {
+    throw new Error('Learning scores need the questions they were played with');
+  }
+  return buildConfig({
+    settings,
+    campaign: false,
+    custom: null,
+    powerUps,
+    gameMode: mode === 'daily' ? 'endless' : mode,
+    learning: mode === 'learning' ? validateLearningConfig(played.learning) : null
+  });
+};
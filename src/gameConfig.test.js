@@ -0,0 +1,60 @@
+import { campaignMaps, createBlankMap } from './levelMaps';
+import { DEFAULT_SETTINGS } from './settings';
+import { buildConfig, scoreModeConfig } from './gameConfig';
+
+const settings = DEFAULT_SETTINGS;
+const learning = {
+  name: 'Maths',
+  subject: 'math',
+  level: 'Easy',
+  penalty: 'length',
+  questions: [{ prompt: '1 + 1', answer: '2', wrong: [] }]
+};
+
+describe('buildConfig', () => {
+  it('plays maps on their own board size', () => {
+    const config = buildConfig({ settings, campaign: true, custom: null, powerUps: true });
+    expect(config.maps).toBe(campaignMaps);
+    expect(config.gridSize).toBe(campaignMaps[0].gridSize);
+    expect(config.mode).toBe('endless');
+  });
+
+  it('turns power-ups off for learning games', () => {
+    const config = buildConfig({ settings, campaign: false, custom: null, powerUps: true, gameMode: 'learning', learning });
+    expect(config.powerUps).toBe(false);
+    expect(config.learning).toBe(learning);
+  });
+});
+
+describe('scoreModeConfig', () => {
+  it('builds the same config the game played with', () => {
+    const played = buildConfig({ settings, campaign: false, custom: null, powerUps: false, gameMode: 'timeAttack60' });
+    expect(scoreModeConfig('timeAttack60', settings, played)).toEqual(played);
+    const maps = buildConfig({ settings, campaign: true, custom: null, powerUps: true });
+    expect(scoreModeConfig('maps', settings, maps)).toEqual(maps);
+  });
+
+  it('takes the rules from the score table, not the played config', () => {
+    const played = {
+      ...buildConfig({ settings, campaign: false, custom: null, powerUps: true, gameMode: 'zen' }),
+      gridSize: 12,
+      initialSpeed: 400
+    };
+    const config = scoreModeConfig('daily', settings, played);
+    expect(config.mode).toBe('endless');
+    expect(config.gridSize).toBe(settings.gridSize);
+    expect(config.initialSpeed).toBe(settings.initialSpeed);
+    expect(config.powerUps).toBe(true);
+  });
+
+  it('keeps the custom map and questions the player brought', () => {
+    const map = createBlankMap(15, 'Mine');
+    const custom = buildConfig({ settings, campaign: false, custom: map, powerUps: true });
+    expect(scoreModeConfig('custom', settings, custom).maps).toEqual([map]);
+    expect(() => scoreModeConfig('custom', settings, { ...custom, maps: null })).toThrow('map');
+
+    const played = buildConfig({ settings, campaign: false, custom: null, powerUps: true, gameMode: 'learning', learning });
+    expect(scoreModeConfig('learning', settings, played)).toEqual(played);
+    expect(() => scoreModeConfig('learning', settings, { ...played, learning: null })).toThrow('questions');
+  });
+});
@@ -0,0 +1,61 @@
+// Game modes picked on the start screen. Each one runs the engine with a set
+// of rules (config.mode, see snakeEngine) and has its own high score table.
+//   endless    - levels speed up every pointsPerLevel points, up to maxLevel
+//   timeAttack - eat as much as possible before the clock (config.timeLimit) runs out
+//   survival   - the snake keeps speeding up past the last level and walls
+//                appear on the board as time goes on
+//   zen        - no crashes: the board always wraps, biting the body trims
+//                the tail, and the speed never changes
+//   learning   - labeled foods answer a math or spelling question shown in
+//                the HUD (config.learning, see learning and questionPacks)
+const GAME_MODE_KEY = 'snakeGameMode';
+
+export const GAME_MODES = [
+  { id: 'endless', rules: 'endless', label: 'Endless', description: 'Levels speed up as you score' },
+  { id: 'timeAttack60', rules: 'timeAttack', timeLimit: 60000, label: 'Time Attack 60s', description: 'Eat as much as you can in one minute' },
+  { id: 'timeAttack120', rules: 'timeAttack', timeLimit: 120000, label: 'Time Attack 120s', description: 'Eat as much as you can in two minutes' },
+  { id: 'survival', rules: 'survival', label: 'Survival', description: 'Faster and faster, and walls keep appearing' },
+  { id: 'zen', rules: 'zen', label: 'Zen', description: 'No crashes - biting your tail just trims it' },
+  { id: 'learning', rules: 'learning', label: 'Learning', description: 'Eat the right answer to each question' }
+];
+
+export const findGameMode = (id) => GAME_MODES.find(mode => mode.id === id) || GAME_MODES[0];
+
+// The engine config for a mode
+export const gameModeConfig = (id) => {
+  const mode = findGameMode(id);
+  return { mode: mode.rules, timeLimit: mode.timeLimit || null };
+};
+
+// Survival: every 10 seconds of play the snake moves 5ms faster, past the
+// last level's speed down to 35ms, and every 8 seconds a wall appears - never
+// right in front of the snake, and never on more than a quarter of the board
+export const SURVIVAL_SPEEDUP_INTERVAL = 10000;
+export const SURVIVAL_SPEEDUP = 5;
+export const SURVIVAL_MIN_SPEED = 35;
+export const SURVIVAL_WALL_INTERVAL = 8000;
+export const SURVIVAL_WALL_DISTANCE = 4;
+export const SURVIVAL_MAX_WALL_SHARE = 0.25;
+
+export const survivalSpeed = (levelSpeed, time) => {
+  const speedUps = Math.floor(time / SURVIVAL_SPEEDUP_INTERVAL);
+  // Never slower than the level - settings can go faster than 35ms already
+  return Math.min(levelSpeed, Math.max(SURVIVAL_MIN_SPEED, levelSpeed - speedUps * SURVIVAL_SPEEDUP));
+};
+
+// True when a new wall is due between two game times
+export const survivalWallDue = (timeBefore, timeAfter) => (
+  Math.floor(timeAfter / SURVIVAL_WALL_INTERVAL) > Math.floor(timeBefore / SURVIVAL_WALL_INTERVAL)
+);
+
+// Time Attack: milliseconds of game time left, or null without a time limit
+export const timeRemaining = (state) => {
+  if (!state.config.timeLimit) return null;
+  return Math.max(0, state.config.timeLimit - state.time);
+};
+
+export const loadGameMode = () => findGameMode(localStorage.getItem(GAME_MODE_KEY)).id;
+
+export const saveGameMode = (id) => {
+  localStorage.setItem(GAME_MODE_KEY, id);
+};
@@ -0,0 +1,77 @@
+// Gamepad support through the Gamepad API. Only the standard mapping is
+// used: d-pad buttons 12-15, the left stick, and Start (button 9).
+import { useEffect, useRef } from 'react';
+
+const DPAD_BUTTONS = { 12: 'UP', 13: 'DOWN', 14: 'LEFT', 15: 'RIGHT' };
+const START_BUTTON = 9;
+// How far the stick has to be pushed before it counts as a direction
+const STICK_DEADZONE = 0.5;
+
+const isPressed = (button) => Boolean(button && (button.pressed || button.value > 0.5));
+
+// The direction one pad is held in, or null. The d-pad wins over the stick.
+export const padDirection = (pad) => {
+  const held = Object.keys(DPAD_BUTTONS).find(index => isPressed(pad.buttons[index]));
+  if (held) return DPAD_BUTTONS[held];
+
+  const [x = 0, y = 0] = pad.axes;
+  if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+  if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'RIGHT' : 'LEFT';
+  return y > 0 ? 'DOWN' : 'UP';
+};
+
+const connectedPads = () => (navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : []);
+
+// Poll connected gamepads every animation frame while `enabled`. Calls
+// `onDirection(direction)` when a pad starts pointing a new way and
+// `onStart()` when Start is pressed - once per press, not while held.
+export const useGamepad = ({ onDirection, onStart }, enabled = true) => {
+  // The latest handlers, so polling doesn't restart every render
+  const handlersRef = useRef({ onDirection, onStart });
+  handlersRef.current = { onDirection, onStart };
+
+  useEffect(() => {
+    if (!enabled || !navigator.getGamepads) return;
+
+    // What each pad was doing last frame, by pad index
+    const previous = {};
+    let animationFrameId = null;
+
+    const poll = () => {
+      connectedPads().forEach(pad => {
+        const last = previous[pad.index] || { direction: null, start: false };
+        const direction = padDirection(pad);
+        const start = isPressed(pad.buttons[START_BUTTON]);
+        previous[pad.index] = { direction, start };
+
+        if (direction && direction !== last.direction) {
+          handlersRef.current.onDirection(direction);
+        }
+        if (start && !last.start) {
+          handlersRef.current.onStart();
+        }
+      });
+      animationFrameId = connectedPads().length > 0 ? requestAnimationFrame(poll) : null;
+    };
+
+    // Only poll while a pad is plugged in
+    const handleConnected = () => {
+      if (animationFrameId === null) {
+        animationFrameId = requestAnimationFrame(poll);
+      }
+    };
+
+    window.addEventListener('gamepadconnected', handleConnected);
+    // A pad already in use on another screen doesn't fire gamepadconnected again
+    if (connectedPads().length > 0) {
+      handleConnected();
+    }
+
+    return () => {
+      window.removeEventListener('gamepadconnected', handleConnected);
+      if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+      }
+    };
+  }, [enabled]);
+};
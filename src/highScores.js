@@ -0,0 +1,277 @@
+// High scores - score records with everything needed to sort and
+// filter them, stored in a versioned format. Lists saved by older versions of
+// the game (snakeHighScores, snakeDailyHighScores) are migrated on load.
+import { createReplayPlayer, parseReplay } from './replay';
+import { dateKey } from './random';
+import { DEFAULT_SETTINGS, SETTINGS_FIELDS, settingsLabel, validateSettings } from './settings';
+
+const LEADERBOARD_KEY = 'snakeLeaderboard';
+const LEGACY_KEYS = { endless: 'snakeHighScores', daily: 'snakeDailyHighScores' };
+export const LEADERBOARD_VERSION = 1;
+
+// Every record from the last week is kept, plus the best of the rest
+const MAX_RECORDS = 100;
+// Replays are most of a record's size, so only the best games in each table
+// keep theirs
+const MAX_REPLAYS_PER_MODE = 10;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+export const SCORE_MODES = [
+  { id: 'endless', label: 'Endless' },
+  { id: 'daily', label: 'Daily' },
+  { id: 'maps', label: 'Maps' },
+  { id: 'custom', label: 'Custom Map' },
+  // One table per game mode (see gameModes)
+  { id: 'timeAttack60', label: 'Time Attack 60s' },
+  { id: 'timeAttack120', label: 'Time Attack 120s' },
+  { id: 'survival', label: 'Survival' },
+  { id: 'zen', label: 'Zen' },
+  { id: 'learning', label: 'Learning' }
+];
+
+export const TIME_RANGES = [
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'This Week' },
+  { id: 'all', label: 'All Time' }
+];
+
+// Which leaderboard a game belongs on. Maps are always played endless; the
+// other game modes have their own tables, daily or not.
+export const scoreModeFor = ({ daily, campaign, custom, gameMode = 'endless' }) => {
+  if (custom) return 'custom';
+  if (campaign) return 'maps';
+  if (gameMode !== 'endless') return gameMode;
+  return daily ? 'daily' : 'endless';
+};
+
+// Build a record from a finished game
+export const createScoreRecord = ({ name, state, mode, settings, seed, replay, date = new Date() }) => ({
+  name,
+  score: state.score,
+  level: state.level,
+  length: state.snake.length,
+  playTime: state.time,
+  mode,
+  settings,
+  seed,
+  date: date.toISOString(),
+  day: dateKey(date),
+  replay
+});
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check a stored record, returning null when it can't be used. Broken
+// optional parts are dropped rather than losing the whole record.
+const validateRecord = (item) => {
+  if (
+    typeof item !== 'object' ||
+    item === null ||
+    typeof item.name !== 'string' ||
+    !isNumber(item.score) ||
+    !SCORE_MODES.some(mode => mode.id === item.mode) ||
+    typeof item.date !== 'string' ||
+    Number.isNaN(Date.parse(item.date))
+  ) {
+    return null;
+  }
+
+  let settings = null;
+  try {
+    settings = validateSettings(item.settings);
+  } catch (error) {
+    console.log('Dropping invalid settings from score:', error);
+  }
+
+  let replay = null;
+  if (item.replay) {
+    try {
+      replay = parseReplay(JSON.stringify(item.replay));
+    } catch (error) {
+      console.log('Dropping invalid replay from score:', error);
+    }
+  }
+
+  return {
+    name: item.name,
+    score: item.score,
+    level: isNumber(item.level) ? item.level : null,
+    length: isNumber(item.length) ? item.length : null,
+    playTime: isNumber(item.playTime) ? item.playTime : null,
+    mode: item.mode,
+    settings,
+    seed: isNumber(item.seed) ? item.seed : null,
+    date: item.date,
+    day: typeof item.day === 'string' ? item.day : dateKey(new Date(item.date)),
+    replay
+  };
+};
+
+// Old records only had name and score, and later seed, replay and settings.
+// A replay can be re-run to fill in the level, length and play time.
+const migrateRecord = (item, legacyMode) => {
+  if (typeof item !== 'object' || item === null || typeof item.name !== 'string' || !isNumber(item.score)) {
+    return null;
+  }
+
+  let replay = null;
+  let finalState = null;
+  if (item.replay) {
+    try {
+      replay = parseReplay(JSON.stringify(item.replay));
+      // Only finished recordings have an end to run to
+      if (replay.endTick !== null) {
+        const player = createReplayPlayer(replay);
+        while (!player.isDone()) {
+          player.step();
+        }
+        finalState = player.getState();
+      }
+    } catch (error) {
+      console.log('Could not re-run replay while migrating score:', error);
+      replay = null;
+    }
+  }
+
+  const config = replay ? replay.config : {};
+  const mode = config.maps
+    ? (config.maps.length === 1 ? 'custom' : 'maps')
+    : legacyMode;
+  // Scores from before the settings screen were played with the defaults
+  const settings = item.settings || (replay
+    ? SETTINGS_FIELDS.reduce((picked, field) => ({ ...picked, [field]: field in config ? config[field] : DEFAULT_SETTINGS[field] }), {})
+    : DEFAULT_SETTINGS);
+  // Daily scores had a YYYY-MM-DD date; endless scores had none
+  const date = typeof item.date === 'string' && !Number.isNaN(Date.parse(item.date))
+    ? new Date(`${item.date}T12:00:00`)
+    : new Date(0);
+
+  return validateRecord({
+    name: item.name,
+    score: item.score,
+    level: finalState ? finalState.level : null,
+    length: finalState ? finalState.snake.length : null,
+    playTime: finalState ? finalState.time : null,
+    mode,
+    settings,
+    seed: item.seed,
+    date: date.toISOString(),
+    day: legacyMode === 'daily' ? item.date : undefined,
+    replay
+  });
+};
+
+const migrateLegacyScores = () => {
+  return Object.keys(LEGACY_KEYS).flatMap(legacyMode => {
+    const key = LEGACY_KEYS[legacyMode];
+    try {
+      const saved = localStorage.getItem(key);
+      if (!saved) return [];
+      const parsed = JSON.parse(saved);
+      if (!Array.isArray(parsed)) throw new Error('Saved scores must be a list');
+      return parsed.map(item => migrateRecord(item, legacyMode)).filter(Boolean);
+    } catch (error) {
+      console.log('Could not migrate scores from', key, error);
+      return [];
+    }
+  });
+};
+
+// Keep the storage small - recent records and the all-time best, with
+// replays for the top few in each table
+const pruneRecords = (records, now = Date.now()) => {
+  const sorted = [...records].sort((a, b) => b.score - a.score);
+  const replays = {};
+  return sorted
+    .filter((record, index) => index < MAX_RECORDS || now - Date.parse(record.date) < WEEK)
+    .map(record => {
+      if (!record.replay) return record;
+      replays[record.mode] = (replays[record.mode] || 0) + 1;
+      return replays[record.mode] <= MAX_REPLAYS_PER_MODE ? record : { ...record, replay: null };
+    });
+};
+
+const writeRecords = (records) => {
+  localStorage.setItem(LEADERBOARD_KEY, JSON.stringify({ version: LEADERBOARD_VERSION, records }));
+};
+
+// A full storage shouldn't lose the score at game over - the scores are kept
+// without their replays instead
+const storeRecords = (records) => {
+  try {
+    writeRecords(records);
+  } catch (error) {
+    console.log('Leaderboard storage is full, dropping replays:', error);
+    try {
+      writeRecords(records.map(record => ({ ...record, replay: null })));
+    } catch (retryError) {
+      console.log('Could not save the leaderboard:', retryError);
+    }
+  }
+};
+
+export const loadLeaderboard = () => {
+  try {
+    const saved = localStorage.getItem(LEADERBOARD_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (typeof parsed !== 'object' || parsed === null || parsed.version !== LEADERBOARD_VERSION || !Array.isArray(parsed.records)) {
+        throw new Error('Unknown leaderboard format');
+      }
+      // Skip any record that no longer validates instead of losing all of them
+      return parsed.records.map(validateRecord).filter(Boolean);
+    }
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting leaderboard:', error);
+    localStorage.removeItem(LEADERBOARD_KEY);
+    return [];
+  }
+
+  // First run with the new format - bring the old lists across
+  const migrated = pruneRecords(migrateLegacyScores());
+  if (migrated.length > 0) {
+    console.log(`Migrated ${migrated.length} old high scores`);
+    storeRecords(migrated);
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+  return migrated;
+};
+
+export const addScoreRecord = (record) => {
+  const records = pruneRecords([...loadLeaderboard(), record]);
+  storeRecords(records);
+  return records;
+};
+
+// Records for one leaderboard view, best first
+export const filterRecords = (records, { mode = 'all', range = 'all', settings = 'all' }, now = new Date()) => {
+  const today = dateKey(now);
+  return records
+    .filter(record => mode === 'all' || record.mode === mode)
+    .filter(record => {
+      if (range === 'today') return record.day === today;
+      if (range === 'week') return now.getTime() - Date.parse(record.date) < WEEK;
+      return true;
+    })
+    .filter(record => settings === 'all' || recordSettingsLabel(record) === settings)
+    .sort((a, b) => b.score - a.score);
+};
+
+export const recordSettingsLabel = (record) => {
+  return record.settings ? settingsLabel(record.settings) : 'Unknown';
+};
+
+// The best record for a player in a list, or null
+export const personalBest = (records, name) => {
+  if (!name) return null;
+  return records.reduce((best, record) => (
+    record.name === name && (best === null || record.score > best.score) ? record : best
+  ), null);
+};
+
+// "1:05" from milliseconds
+export const formatPlayTime = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
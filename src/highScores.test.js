@@ -0,0 +1,85 @@
+import { DEFAULT_CONFIG, createGame } from './snakeEngine';
+import { createRng } from './random';
+import { createReplay, finishReplay } from './replay';
+import { DEFAULT_SETTINGS } from './settings';
+import { addScoreRecord, createScoreRecord, loadLeaderboard } from './highScores';
+
+// A finished replay with nothing in it - enough for a record
+const emptyReplay = (seed) => {
+  const state = createGame(DEFAULT_CONFIG, createRng(seed));
+  return finishReplay(createReplay(seed, DEFAULT_CONFIG), state);
+};
+
+const record = (score, mode = 'endless') => createScoreRecord({
+  name: 'Ada',
+  state: { ...createGame(DEFAULT_CONFIG, createRng(score)), score },
+  mode,
+  settings: DEFAULT_SETTINGS,
+  seed: score,
+  replay: emptyReplay(score)
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.restoreAllMocks();
+  // Migrations and resets are logged
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('loadLeaderboard', () => {
+  it('migrates the old endless and daily lists', () => {
+    localStorage.setItem('snakeHighScores', JSON.stringify([
+      { name: 'Old', score: 12 },
+      { name: 'Replayed', score: 0, seed: 5, replay: emptyReplay(5) },
+      { name: 42, score: 'bad' }
+    ]));
+    localStorage.setItem('snakeDailyHighScores', JSON.stringify([{ name: 'Daily', score: 7, date: '2024-03-01' }]));
+
+    const records = loadLeaderboard();
+    expect(records.map(item => [item.name, item.mode, item.score])).toEqual([
+      ['Old', 'endless', 12],
+      ['Daily', 'daily', 7],
+      ['Replayed', 'endless', 0]
+    ]);
+    expect(records[0].settings).toEqual(DEFAULT_SETTINGS);
+    expect(records[1].day).toBe('2024-03-01');
+    // The replay was re-run to fill in what the old list didn't have
+    expect(records[2].length).toBe(1);
+    expect(localStorage.getItem('snakeHighScores')).toBeNull();
+    expect(localStorage.getItem('snakeDailyHighScores')).toBeNull();
+    expect(loadLeaderboard()).toEqual(records);
+  });
+
+  it('starts over when the stored format is unknown', () => {
+    localStorage.setItem('snakeLeaderboard', '{"version":99}');
+    expect(loadLeaderboard()).toEqual([]);
+    expect(localStorage.getItem('snakeLeaderboard')).toBeNull();
+  });
+});
+
+describe('addScoreRecord', () => {
+  it('keeps replays for the best games in each table only', () => {
+    for (let score = 1; score <= 12; score++) {
+      addScoreRecord(record(score));
+    }
+    addScoreRecord(record(1, 'zen'));
+    const records = loadLeaderboard();
+    expect(records.filter(item => item.mode === 'endless' && item.replay).map(item => item.score))
+      .toEqual([12, 11, 10, 9, 8, 7, 6, 5, 4, 3]);
+    expect(records.find(item => item.mode === 'zen').replay).not.toBeNull();
+  });
+
+  it('keeps the score without replays when storage is full', () => {
+    const setItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      if (value.includes('"replay":{')) {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      }
+      return setItem.call(this, key, value);
+    });
+
+    expect(() => addScoreRecord(record(3))).not.toThrow();
+    const records = loadLeaderboard();
+    expect(records.map(item => [item.score, item.replay])).toEqual([[3, null]]);
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { register } from './serviceWorkerRegistration';
 
 // Add console logging to help debug
 console.log('Starting React application...');
@@ -18,4 +19,7 @@ try {
   console.log('App rendered successfully');
 } catch (error) {
   console.error('Error rendering React application:', error);
-}
\ No newline at end of file
+}
+
+// Cache the game for offline play and installing to the home screen
+register();
@@ -0,0 +1,217 @@
+// Learning mode rules - several labeled foods on the board, one of them
+// right. Math questions ask for the answer to a sum; spelling questions show
+// a word in the HUD to spell one letter at a time. A right pick scores and
+// moves on, a wrong one costs length or a life (config.learning.penalty).
+// Like snakeEngine, everything here is pure - questions are picked with the
+// game's random source so replays come out the same.
+//
+// config.learning is { name, subject, level, penalty, questions } - built
+// from a question pack by questionPacks. Math questions are
+// { prompt, answer, wrong }, spelling questions { word, hint }.
+export const LEARNING_PENALTIES = [
+  { id: 'length', label: 'Lose length' },
+  { id: 'lives', label: 'Lose a life' }
+];
+export const LEARNING_LIVES = 3;
+export const LENGTH_PENALTY = 2;
+// Foods on the board for each pick - the right one and three wrong ones
+export const CHOICE_COUNT = 4;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Labels have to fit on a food
+const MAX_LABEL = 4;
+const MAX_PROMPT = 30;
+const MAX_WORD = 12;
+export const MAX_QUESTIONS = 200;
+
+const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.trim().length <= max;
+
+// Check one question, returning a cleaned-up copy. Throws with a message
+// that says which question is wrong (`where`).
+export const validateQuestion = (subject, question, where) => {
+  if (typeof question !== 'object' || question === null) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (subject === 'spelling') {
+    const word = typeof question.word === 'string' ? question.word.trim().toUpperCase() : '';
+    if (!/^[A-Z]+$/.test(word) || word.length < 2 || word.length > MAX_WORD) {
+      throw new Error(`${where} needs a word of 2 to ${MAX_WORD} letters A to Z`);
+    }
+    // Saved packs keep a missing hint as ''
+    if (question.hint !== undefined && question.hint !== '' && !isText(question.hint, 60)) {
+      throw new Error(`${where} has a hint that isn't short text`);
+    }
+    return { word, hint: question.hint ? question.hint.trim() : '' };
+  }
+
+  if (!isText(question.prompt, MAX_PROMPT)) {
+    throw new Error(`${where} needs a prompt of up to ${MAX_PROMPT} characters`);
+  }
+  const answer = typeof question.answer === 'number' ? String(question.answer) : question.answer;
+  if (!isText(answer, MAX_LABEL)) {
+    throw new Error(`${where} needs an answer of up to ${MAX_LABEL} characters`);
+  }
+  const wrong = question.wrong === undefined ? [] : question.wrong;
+  if (!Array.isArray(wrong) || !wrong.every(label => isText(String(label), MAX_LABEL))) {
+    throw new Error(`${where} has wrong answers that aren't a list of up to ${MAX_LABEL} characters each`);
+  }
+  const wrongLabels = wrong.map(label => String(label).trim()).filter(label => label !== answer.trim());
+  if (wrongLabels.length === 0 && !/^\d+$/.test(answer.trim())) {
+    throw new Error(`${where} needs wrong answers - only whole number answers can do without`);
+  }
+  return { prompt: question.prompt.trim(), answer: answer.trim(), wrong: wrongLabels };
+};
+
+// Check config.learning from somewhere we don't trust, like a replay file.
+// Throws with a message to show.
+export const validateLearningConfig = (config) => {
+  if (typeof config !== 'object' || config === null) {
+    throw new Error('Learning settings must be an object');
+  }
+  if (config.subject !== 'math' && config.subject !== 'spelling') {
+    throw new Error('Learning subject must be math or spelling');
+  }
+  if (!isText(config.name, 30) || !isText(config.level, 60)) {
+    throw new Error('Learning settings need a pack name and level');
+  }
+  if (!LEARNING_PENALTIES.some(penalty => penalty.id === config.penalty)) {
+    throw new Error('Unknown learning penalty');
+  }
+  if (!Array.isArray(config.questions) || config.questions.length === 0 || config.questions.length > MAX_QUESTIONS) {
+    throw new Error(`Learning settings need 1 to ${MAX_QUESTIONS} questions`);
+  }
+  return {
+    name: config.name,
+    subject: config.subject,
+    level: config.level,
+    penalty: config.penalty,
+    questions: config.questions.map((question, index) => validateQuestion(config.subject, question, `Question ${index + 1}`))
+  };
+};
+
+const questionAt = (config, learning) => config.questions[learning.question];
+
+// What has to be eaten next - the answer, or the next letter of the word
+export const expectedLabel = (config, learning) => {
+  const question = questionAt(config, learning);
+  return config.subject === 'spelling' ? question.word[learning.step] : question.answer;
+};
+
+// A different question from the last one, when there's more than one
+const pickQuestion = (config, previous, random) => {
+  const count = config.questions.length;
+  if (previous === null || count === 1) return Math.floor(random() * count);
+  const index = Math.floor(random() * (count - 1));
+  return index >= previous ? index + 1 : index;
+};
+
+// Numbers close to the answer, for math questions without wrong answers
+const nearbyNumbers = (answer) => {
+  const value = Number(answer);
+  return [-3, -2, -1, 1, 2, 3]
+    .map(offset => value + offset)
+    .filter(number => number >= 0)
+    .map(String);
+};
+
+// Labels for the foods: the right one first, then wrong ones picked at random
+export const choiceLabels = (config, learning, random) => {
+  const correct = expectedLabel(config, learning);
+  const question = questionAt(config, learning);
+  let pool;
+  if (config.subject === 'spelling') {
+    pool = LETTERS.split('');
+  } else {
+    pool = question.wrong.length > 0 ? question.wrong : nearbyNumbers(correct);
+  }
+  const candidates = [...new Set(pool)].filter(label => label !== correct);
+
+  const wrong = [];
+  while (wrong.length < CHOICE_COUNT - 1 && candidates.length > 0) {
+    const [label] = candidates.splice(Math.floor(random() * candidates.length), 1);
+    wrong.push(label);
+  }
+  return [correct, ...wrong];
+};
+
+// Learning progress kept in the game state. `missed` holds the wrong picks
+// for the question on the board; `log` the finished questions.
+export const startLearning = (config, random) => ({
+  question: pickQuestion(config, null, random),
+  step: 0,
+  lives: config.penalty === 'lives' ? LEARNING_LIVES : null,
+  right: 0,
+  wrong: 0,
+  missed: [],
+  log: []
+});
+
+// A right pick moves to the next letter, or to the next question once the
+// word or sum is done
+export const answerRight = (config, learning, random) => {
+  const question = questionAt(config, learning);
+  const finished = config.subject !== 'spelling' || learning.step + 1 >= question.word.length;
+  if (!finished) {
+    return { ...learning, step: learning.step + 1, right: learning.right + 1 };
+  }
+  return {
+    ...learning,
+    question: pickQuestion(config, learning.question, random),
+    step: 0,
+    right: learning.right + 1,
+    missed: [],
+    log: [...learning.log, { question: learning.question, missed: learning.missed }]
+  };
+};
+
+export const answerWrong = (learning, label) => ({
+  ...learning,
+  wrong: learning.wrong + 1,
+  lives: learning.lives === null ? null : learning.lives - 1,
+  missed: [...learning.missed, label]
+});
+
+// What the HUD shows: "3 + 4 = ?", or the word and how far it's spelled,
+// "CAT: C A _"
+export const questionText = (config, learning) => {
+  const question = questionAt(config, learning);
+  if (config.subject !== 'spelling') return `${question.prompt} = ?`;
+  const spelled = question.word.split('').map((letter, index) => (index < learning.step ? letter : '_')).join(' ');
+  return `${question.word}: ${spelled}`;
+};
+
+export const questionHint = (config, learning) => questionAt(config, learning).hint;
+
+// Said to screen reader users when a new question or letter comes up
+export const questionSpeech = (config, learning) => {
+  const question = questionAt(config, learning);
+  if (config.subject !== 'spelling') return `What is ${question.prompt}?`;
+  const hint = question.hint ? ` (${question.hint})` : '';
+  return `Spell ${question.word}${hint}. Letter ${learning.step + 1} of ${question.word.length}`;
+};
+
+const describeQuestion = (config, question) => (
+  config.subject === 'spelling' ? question.word : `${question.prompt} = ${question.answer}`
+);
+
+// The session's results for the game over screen: how many questions were
+// done, how many right first time, the share of right picks and the
+// questions that had wrong picks (including the one left unfinished)
+export const learningReport = (config, learning) => {
+  const unfinished = learning.missed.length > 0 ? [{ question: learning.question, missed: learning.missed }] : [];
+  const picks = learning.right + learning.wrong;
+  return {
+    answered: learning.log.length,
+    firstTry: learning.log.filter(entry => entry.missed.length === 0).length,
+    right: learning.right,
+    wrong: learning.wrong,
+    accuracy: picks > 0 ? Math.round((learning.right / picks) * 100) : null,
+    mistakes: [...learning.log, ...unfinished]
+      .filter(entry => entry.missed.length > 0)
+      .map(entry => ({
+        text: describeQuestion(config, config.questions[entry.question]),
+        missed: entry.missed
+      }))
+  };
+};
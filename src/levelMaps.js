@@ -0,0 +1,295 @@
+// Level maps with interior obstacles.
+//
+// Text format - one row per line, every row as long as there are rows:
+//   #          wall
+//   .          empty cell
+//   > < ^ v    snake start, pointing right/left/up/down
+//
+// JSON format:
+//   { "name": "Pillars", "gridSize": 20, "walls": [{ "x": 3, "y": 4 }],
+//     "start": { "x": 10, "y": 10 }, "direction": "RIGHT" }
+import { DIRECTIONS, isOnCells } from './snakeEngine';
+import { SETTINGS_LIMITS } from './settings';
+
+// Maps can be smaller than the settings allow, but no bigger
+const MIN_MAP_SIZE = 5;
+const MAX_MAP_SIZE = SETTINGS_LIMITS.gridSize.max;
+
+const startMarkers = {
+  '>': 'RIGHT',
+  '<': 'LEFT',
+  '^': 'UP',
+  'v': 'DOWN'
+};
+
+// Throws if a parsed map can't be played
+export const validateMap = (map) => {
+  const inBounds = (cell) => (
+    cell !== null &&
+    typeof cell === 'object' &&
+    Number.isInteger(cell.x) &&
+    Number.isInteger(cell.y) &&
+    cell.x >= 0 && cell.y >= 0 &&
+    cell.x < map.gridSize && cell.y < map.gridSize
+  );
+
+  if (!Number.isInteger(map.gridSize) || map.gridSize < MIN_MAP_SIZE || map.gridSize > MAX_MAP_SIZE) {
+    throw new Error(`Map grid size must be a whole number from ${MIN_MAP_SIZE} to ${MAX_MAP_SIZE}`);
+  }
+  if (!Array.isArray(map.walls) || !map.walls.every(inBounds)) {
+    throw new Error('Map walls must be cells inside the grid');
+  }
+  if (!inBounds(map.start)) {
+    throw new Error('Map start must be a cell inside the grid');
+  }
+  if (!DIRECTIONS.includes(map.direction)) {
+    throw new Error('Map direction must be UP, DOWN, LEFT or RIGHT');
+  }
+  if (isOnCells(map.walls, map.start)) {
+    throw new Error('Map start is inside a wall');
+  }
+  return map;
+};
+
+export const parseMapText = (text, name = 'Custom Map') => {
+  const rows = text
+    .split('\n')
+    .map(row => row.trim())
+    .filter(row => row.length > 0);
+
+  if (rows.some(row => row.length !== rows.length)) {
+    throw new Error('Map text must be square - every row as long as there are rows');
+  }
+
+  const walls = [];
+  let start = null;
+  let direction = 'RIGHT';
+
+  rows.forEach((row, y) => {
+    [...row].forEach((char, x) => {
+      if (char === '#') {
+        walls.push({ x, y });
+      } else if (startMarkers[char]) {
+        start = { x, y };
+        direction = startMarkers[char];
+      } else if (char !== '.') {
+        throw new Error(`Unknown map character "${char}" at row ${y + 1}`);
+      }
+    });
+  });
+
+  // Default to the middle of the board when no start is marked
+  const gridSize = rows.length;
+  if (start === null) {
+    start = { x: Math.floor(gridSize / 2), y: Math.floor(gridSize / 2) };
+  }
+
+  return validateMap({ name, gridSize, walls, start, direction });
+};
+
+export const parseMapJson = (json) => {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+  if (typeof parsed !== 'object' || parsed === null) {
+    throw new Error('Map JSON must be an object');
+  }
+  return validateMap({
+    name: typeof parsed.name === 'string' ? parsed.name : 'Custom Map',
+    gridSize: parsed.gridSize,
+    walls: parsed.walls,
+    start: parsed.start,
+    direction: parsed.direction || 'RIGHT'
+  });
+};
+
+// Accept either format
+export const parseMap = (input, name) => {
+  if (typeof input === 'string' && !input.trim().startsWith('{')) {
+    return parseMapText(input, name);
+  }
+  try {
+    return parseMapJson(input);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error('Map file is not valid JSON');
+    }
+    throw error;
+  }
+};
+
+// Back to the text format, e.g. for sharing
+export const mapToText = (map) => {
+  const rows = [];
+  for (let y = 0; y < map.gridSize; y++) {
+    let row = '';
+    for (let x = 0; x < map.gridSize; x++) {
+      if (map.start.x === x && map.start.y === y) {
+        row += Object.keys(startMarkers).find(key => startMarkers[key] === map.direction);
+      } else {
+        row += isOnCells(map.walls, { x, y }) ? '#' : '.';
+      }
+    }
+    rows.push(row);
+  }
+  return rows.join('\n');
+};
+
+// Handcrafted campaign - one map per level, in order
+export const campaignMaps = [
+  parseMapText(`
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ..........>.........
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+  `, 'Open Field'),
+  parseMapText(`
+    ....................
+    ....................
+    ....................
+    ...##....##....##...
+    ...##....##....##...
+    ....................
+    ....................
+    ....................
+    ...##..........##...
+    ...##..........##...
+    ..........>.........
+    ....................
+    ....................
+    ...##....##....##...
+    ...##....##....##...
+    ....................
+    ....................
+    ....................
+    ....................
+    ....................
+  `, 'Pillars'),
+  parseMapText(`
+    ....................
+    ....................
+    ..################..
+    ....................
+    ....................
+    ....................
+    ..######....######..
+    ....................
+    ....................
+    ..........>.........
+    ....................
+    ....................
+    ..######....######..
+    ....................
+    ....................
+    ....................
+    ..################..
+    ....................
+    ....................
+    ....................
+  `, 'Corridors'),
+  parseMapText(`
+    ....................
+    ....................
+    ..#######..#######..
+    ..#..............#..
+    ..#..............#..
+    ..#..............#..
+    ..#..............#..
+    ....................
+    ....................
+    ..........>.........
+    ....................
+    ....................
+    ..#..............#..
+    ..#..............#..
+    ..#..............#..
+    ..#..............#..
+    ..#######..#######..
+    ....................
+    ....................
+    ....................
+  `, 'The Box'),
+  parseMapText(`
+    ....................
+    .#######....#######.
+    .#................#.
+    .#..####....####..#.
+    .#..#..........#..#.
+    .#..#..........#..#.
+    ....#...####...#....
+    ........#..#........
+    ....................
+    .#........>.......#.
+    .#................#.
+    ....................
+    ........#..#........
+    ....#...####...#....
+    .#..#..........#..#.
+    .#..#..........#..#.
+    .#..####....####..#.
+    .#................#.
+    .#######....#######.
+    ....................
+  `, 'Maze')
+];
+
+// An empty map for the editor
+export const createBlankMap = (gridSize = 20, name = 'New Map') => ({
+  name,
+  gridSize,
+  walls: [],
+  start: { x: Math.floor(gridSize / 2), y: Math.floor(gridSize / 2) },
+  direction: 'RIGHT'
+});
+
+// Maps made in the level editor, saved by name in localStorage
+const SAVED_MAPS_KEY = 'snakeCustomMaps';
+
+export const loadSavedMaps = () => {
+  try {
+    const saved = localStorage.getItem(SAVED_MAPS_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    if (!Array.isArray(parsed)) throw new Error('Saved maps must be a list');
+    // Skip any map that no longer validates instead of losing all of them
+    return parsed.reduce((maps, item) => {
+      try {
+        return [...maps, parseMapJson(item)];
+      } catch (error) {
+        console.log('Skipping invalid saved map:', error);
+        return maps;
+      }
+    }, []);
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    localStorage.removeItem(SAVED_MAPS_KEY);
+    return [];
+  }
+};
+
+// Save a map, replacing any saved map with the same name
+export const saveMap = (map) => {
+  const maps = [...loadSavedMaps().filter(item => item.name !== map.name), validateMap(map)];
+  localStorage.setItem(SAVED_MAPS_KEY, JSON.stringify(maps));
+  return maps;
+};
+
+export const deleteSavedMap = (name) => {
+  const maps = loadSavedMaps().filter(item => item.name !== name);
+  localStorage.setItem(SAVED_MAPS_KEY, JSON.stringify(maps));
+  return maps;
+};
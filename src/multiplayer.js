@@ -0,0 +1,254 @@
+// Online races against a player on another device, through the multiplayer
+// server (see server/multiplayerServer.mjs and multiplayerProtocol). The
+// server runs the board; the game sends turns and draws what comes back.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { PROTOCOL_VERSION, encodeMessage, parseMessage } from './multiplayerProtocol';
+
+const MULTIPLAYER_KEY = 'snakeMultiplayer';
+export const MULTIPLAYER_VERSION = 1;
+
+// The server usually runs on the machine serving the game, e.g. a build made
+// with REACT_APP_MULTIPLAYER_URL=ws://192.168.1.20:4001 points elsewhere
+export const DEFAULT_MULTIPLAYER_SERVER = process.env.REACT_APP_MULTIPLAYER_URL ||
+  `ws://${window.location.hostname || 'localhost'}:4001`;
+
+const PING_INTERVAL = 2000;
+// A dropped connection is retried this many times, waiting a bit longer each time
+const MAX_RECONNECTS = 5;
+const RECONNECT_BASE = 1000;
+// Round trips longer than this are shown as a slow connection
+export const SLOW_LATENCY = 200;
+
+// Check a server address, returning it without a trailing slash. Throws
+// with a message to show.
+export const normalizeMultiplayerServer = (address) => {
+  let url;
+  try {
+    url = new URL(address.trim());
+  } catch (error) {
+    throw new Error('Server address must look like ws://192.168.1.20:4001');
+  }
+  if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+    throw new Error('Server address must start with ws:// or wss://');
+  }
+  return address.trim().replace(/\/+$/, '');
+};
+
+export const loadMultiplayerServer = () => {
+  try {
+    const saved = localStorage.getItem(MULTIPLAYER_KEY);
+    if (!saved) return DEFAULT_MULTIPLAYER_SERVER;
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== MULTIPLAYER_VERSION || typeof parsed.server !== 'string') {
+      throw new Error('Unknown multiplayer settings format');
+    }
+    return normalizeMultiplayerServer(parsed.server);
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting multiplayer settings:', error);
+    localStorage.removeItem(MULTIPLAYER_KEY);
+    return DEFAULT_MULTIPLAYER_SERVER;
+  }
+};
+
+export const saveMultiplayerServer = (server) => {
+  localStorage.setItem(MULTIPLAYER_KEY, JSON.stringify({ version: MULTIPLAYER_VERSION, server }));
+  return server;
+};
+
+// Connection to a lobby. status is 'idle', 'connecting', 'connected',
+// 'reconnecting' or 'closed'; lobby, arena and results are the latest the
+// server sent.
+export const useMultiplayer = () => {
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+  const [playerId, setPlayerId] = useState(null);
+  const [lobby, setLobby] = useState(null);
+  const [arena, setArena] = useState(null);
+  const [countdown, setCountdown] = useState(null);
+  const [results, setResults] = useState(null);
+  const [latency, setLatency] = useState(null);
+
+  const socketRef = useRef(null);
+  // Where to reconnect to: { server, code, token } once in a lobby
+  const sessionRef = useRef(null);
+  const reconnectsRef = useRef(0);
+  const reconnectTimerRef = useRef(null);
+
+  const send = useCallback((type, body) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(encodeMessage(type, body));
+    }
+  }, []);
+
+  const handleMessage = useCallback((message) => {
+    switch (message.type) {
+      case 'joined':
+        socketRef.current.joined = true;
+        sessionRef.current = { ...sessionRef.current, code: message.code, token: message.token };
+        reconnectsRef.current = 0;
+        setPlayerId(message.playerId);
+        setStatus('connected');
+        setError('');
+        break;
+      case 'lobby':
+        setLobby(message);
+        if (message.phase === 'countdown') setResults(null);
+        if (message.phase !== 'countdown') setCountdown(null);
+        break;
+      case 'countdown':
+        setCountdown(message.seconds);
+        break;
+      case 'state':
+        setArena(message.arena);
+        break;
+      case 'results':
+        setResults(message);
+        break;
+      case 'pong':
+        setLatency(Date.now() - message.sent);
+        break;
+      case 'error':
+        setError(message.message);
+        // Turned away before getting into the lobby (or back into it) -
+        // there's nothing to reconnect to
+        if (socketRef.current && !socketRef.current.joined) {
+          sessionRef.current = { server: sessionRef.current.server };
+          socketRef.current.close();
+        }
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  // Open a connection and send `first` (create, join or rejoin) once it's up
+  const open = useCallback((server, first) => {
+    let socket;
+    try {
+      socket = new WebSocket(server);
+    } catch (openError) {
+      setError("Can't reach the multiplayer server");
+      setStatus('closed');
+      return;
+    }
+    socketRef.current = socket;
+
+    socket.onopen = () => {
+      socket.send(encodeMessage(first.type, { ...first.body, version: PROTOCOL_VERSION }));
+    };
+    socket.onmessage = (event) => {
+      if (socketRef.current !== socket) return;
+      try {
+        handleMessage(parseMessage(event.data));
+      } catch (messageError) {
+        console.log('Multiplayer message error:', messageError);
+      }
+    };
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      const session = sessionRef.current;
+
+      // In a lobby - try to get back in before the server gives up on us
+      if (session && session.token && reconnectsRef.current < MAX_RECONNECTS) {
+        const delay = RECONNECT_BASE * Math.pow(2, reconnectsRef.current);
+        reconnectsRef.current += 1;
+        setStatus('reconnecting');
+        reconnectTimerRef.current = setTimeout(() => {
+          open(session.server, { type: 'rejoin', body: { code: session.code, token: session.token } });
+        }, delay);
+        return;
+      }
+
+      if (session && session.token) {
+        setError('Lost the connection to the multiplayer server');
+      } else {
+        // Keep the reason the server turned us away, if it gave one
+        setError(current => current || "Can't reach the multiplayer server");
+      }
+      sessionRef.current = null;
+      setStatus('closed');
+      setPlayerId(null);
+    };
+  }, [handleMessage]);
+
+  const connect = useCallback((server, type, body) => {
+    sessionRef.current = { server };
+    reconnectsRef.current = 0;
+    setError('');
+    setLobby(null);
+    setArena(null);
+    setResults(null);
+    setStatus('connecting');
+    open(server, { type, body });
+  }, [open]);
+
+  const createLobby = useCallback((server, name, settings) => {
+    connect(server, 'create', { name, settings });
+  }, [connect]);
+
+  const joinLobby = useCallback((server, code, name) => {
+    connect(server, 'join', { code, name });
+  }, [connect]);
+
+  const setReady = useCallback((ready) => send('ready', { ready }), [send]);
+
+  const sendDirection = useCallback((direction) => send('input', { direction }), [send]);
+
+  // Back to the ready-up screen once the results have been seen
+  const clearResults = useCallback(() => setResults(null), []);
+
+  const leave = useCallback(() => {
+    clearTimeout(reconnectTimerRef.current);
+    send('leave');
+    sessionRef.current = null;
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) socket.close();
+    setStatus('idle');
+    setPlayerId(null);
+    setLobby(null);
+    setArena(null);
+    setResults(null);
+    setCountdown(null);
+    setLatency(null);
+  }, [send]);
+
+  // Time the round trip while connected
+  useEffect(() => {
+    if (status !== 'connected') return;
+    const intervalId = setInterval(() => send('ping', { sent: Date.now() }), PING_INTERVAL);
+    send('ping', { sent: Date.now() });
+    return () => clearInterval(intervalId);
+  }, [status, send]);
+
+  // Leaving the screen leaves the lobby
+  useEffect(() => () => {
+    clearTimeout(reconnectTimerRef.current);
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(encodeMessage('leave'));
+      socket.close();
+    }
+  }, []);
+
+  return {
+    status,
+    error,
+    playerId,
+    lobby,
+    arena,
+    countdown,
+    results,
+    latency,
+    createLobby,
+    joinLobby,
+    setReady,
+    sendDirection,
+    clearResults,
+    leave
+  };
+};
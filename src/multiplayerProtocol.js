@@ -0,0 +1,72 @@
+// Messages between the game and the multiplayer server
+// (server/multiplayerServer.mjs), shared by both ends. Every message is a
+// JSON object with a `type`.
+//
+// Game to server:
+//   create { version, name, settings }   open a lobby with the host's board settings
+//   join { version, code, name }         join a lobby by its code
+//   rejoin { version, code, token }      come back after a dropped connection
+//   ready { ready }                      ready up (or not) for the next round
+//   input { direction }                  a turn, queued like a key press
+//   ping { sent }                        answered with pong { sent } to time the trip
+//   leave
+//
+// Server to game:
+//   joined { code, playerId, token }
+//   lobby { code, phase, players: [{ id, name, ready, connected, wins }], waitUntil }
+//   countdown { seconds }
+//   state { arena }                      the whole board after every tick
+//   results { winner, players }
+//   pong { sent }
+//   error { message }
+//
+// A lobby's phase is 'lobby' (readying up), 'countdown', 'playing',
+// 'waiting' (for a dropped player to come back) or 'results'.
+import { DIRECTIONS } from './snakeEngine';
+
+export const PROTOCOL_VERSION = 1;
+export const MAX_PLAYERS = 2;
+export const MAX_NAME = 15;
+
+// No 0/O or 1/I - codes are read out across the room
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const LOBBY_CODE_LENGTH = 4;
+
+export const createLobbyCode = (random = Math.random) => (
+  Array.from({ length: LOBBY_CODE_LENGTH }, () => CODE_CHARS[Math.floor(random() * CODE_CHARS.length)]).join('')
+);
+
+// Tidy a typed code, throwing if it can't be one
+export const normalizeLobbyCode = (code) => {
+  const normalized = String(code).trim().toUpperCase();
+  if (normalized.length !== LOBBY_CODE_LENGTH || [...normalized].some(char => !CODE_CHARS.includes(char))) {
+    throw new Error(`Lobby codes are ${LOBBY_CODE_LENGTH} letters and numbers`);
+  }
+  return normalized;
+};
+
+export const normalizePlayerName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (trimmed === '' || trimmed.length > MAX_NAME) {
+    throw new Error(`Name must be 1 to ${MAX_NAME} characters`);
+  }
+  return trimmed;
+};
+
+export const isDirection = (value) => DIRECTIONS.includes(value);
+
+export const encodeMessage = (type, body = {}) => JSON.stringify({ ...body, type });
+
+// Parse a message, throwing if it isn't one
+export const parseMessage = (text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Message is not valid JSON');
+  }
+  if (typeof message !== 'object' || message === null || typeof message.type !== 'string') {
+    throw new Error('Message has no type');
+  }
+  return message;
+};
@@ -0,0 +1,198 @@
+// Optional online high scores. Scores are queued on the device and sent to a
+// leaderboard server (see server/leaderboardServer.mjs) whenever one is set
+// up and reachable. The replay goes with each score so the server can re-run
+// the game and check it. A send that fails is retried later, waiting longer
+// each time.
+const ONLINE_KEY = 'snakeOnlineScores';
+const QUEUE_KEY = 'snakeScoreQueue';
+export const ONLINE_VERSION = 1;
+
+// Server used until one is set in the app, e.g. a build made with
+// REACT_APP_LEADERBOARD_URL=http://scores.school.lan:4000
+const DEFAULT_SERVER = process.env.REACT_APP_LEADERBOARD_URL || '';
+
+const REQUEST_TIMEOUT = 8000;
+const RETRY_BASE = 5000;
+const RETRY_MAX = 10 * 60 * 1000;
+export const MAX_FRIENDS = 20;
+
+// 5s, 10s, 20s ... up to 10 minutes
+export const retryDelay = (attempts) => Math.min(RETRY_MAX, RETRY_BASE * Math.pow(2, attempts));
+
+// Check a server address, returning it without a trailing slash. An empty
+// address turns online scores off. Throws with a message to show.
+export const normalizeServer = (address) => {
+  const trimmed = address.trim();
+  if (trimmed === '') return '';
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch (error) {
+    throw new Error('Server address must look like http://scores.school.lan:4000');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Server address must start with http:// or https://');
+  }
+  return trimmed.replace(/\/+$/, '');
+};
+
+const defaultConfig = () => ({ server: DEFAULT_SERVER, friends: [] });
+
+export const loadOnlineConfig = () => {
+  try {
+    const saved = localStorage.getItem(ONLINE_KEY);
+    if (!saved) return defaultConfig();
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== ONLINE_VERSION || typeof parsed.server !== 'string' || !Array.isArray(parsed.friends)) {
+      throw new Error('Unknown online scores format');
+    }
+    return {
+      server: normalizeServer(parsed.server),
+      friends: parsed.friends.filter(name => typeof name === 'string' && name.trim() !== '').slice(0, MAX_FRIENDS)
+    };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting online scores:', error);
+    localStorage.removeItem(ONLINE_KEY);
+    return defaultConfig();
+  }
+};
+
+export const saveOnlineConfig = (config) => {
+  localStorage.setItem(ONLINE_KEY, JSON.stringify({ version: ONLINE_VERSION, ...config }));
+  return config;
+};
+
+// Errors carry `retry` - true when trying again later might work
+const requestError = (message, retry) => Object.assign(new Error(message), { retry });
+
+const request = (server, path, options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  return fetch(`${server}${path}`, { ...options, signal: controller.signal })
+    .then(response => {
+      if (response.ok) return response.json();
+      // The server explains what it didn't like in { error }
+      return response.json()
+        .catch(() => ({}))
+        .then(body => {
+          throw requestError(body.error || `Server error ${response.status}`, response.status >= 500 || response.status === 429);
+        });
+    }, error => {
+      throw requestError(error.name === 'AbortError' ? 'The leaderboard server took too long to answer' : "Can't reach the leaderboard server", true);
+    })
+    .finally(() => clearTimeout(timeoutId));
+};
+
+// Resolves with { ok, scores } when the server is up
+export const checkServer = (server) => request(server, '/health');
+
+export const submitScore = (server, record) => request(server, '/scores', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(record)
+});
+
+// Top scores for a mode and time range (see highScores). With `names`, only
+// those players' scores - the friends board.
+export const fetchScores = (server, { mode = 'all', range = 'all', settings = 'all', names = null, limit = 50 }) => {
+  const params = new URLSearchParams({ mode, range, settings, limit: String(limit) });
+  if (names) {
+    params.set('names', names.join(','));
+  }
+  return request(server, `/scores?${params}`).then(body => body.records);
+};
+
+// Queued scores: { id, record, attempts, nextAttemptAt }
+export const loadScoreQueue = () => {
+  try {
+    const saved = localStorage.getItem(QUEUE_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== ONLINE_VERSION || !Array.isArray(parsed.items)) {
+      throw new Error('Unknown score queue format');
+    }
+    // Skip anything that isn't a queued score
+    return parsed.items.filter(item => (
+      typeof item === 'object' && item !== null &&
+      typeof item.id === 'string' &&
+      typeof item.record === 'object' && item.record !== null &&
+      Number.isInteger(item.attempts) &&
+      typeof item.nextAttemptAt === 'number'
+    ));
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting score queue:', error);
+    localStorage.removeItem(QUEUE_KEY);
+    return [];
+  }
+};
+
+const writeScoreQueue = (items) => {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify({ version: ONLINE_VERSION, items }));
+};
+
+// Every queued score carries its replay, so the storage can fill up. The
+// oldest scores are dropped until the rest fit - they're still on the local
+// leaderboard. Returns the queue that was kept.
+const saveScoreQueue = (items) => {
+  try {
+    writeScoreQueue(items);
+    return items;
+  } catch (error) {
+    if (items.length === 0) {
+      console.log('Could not save the score queue:', error);
+      return items;
+    }
+    console.log('Score queue storage is full, dropping the oldest score:', error);
+    return saveScoreQueue(items.slice(1));
+  }
+};
+
+// Change the stored queue - always from what's stored, so a score queued
+// while others are being sent isn't lost
+const updateScoreQueue = (change) => saveScoreQueue(change(loadScoreQueue()));
+
+export const queueScore = (record, now = Date.now()) => updateScoreQueue(items => [
+  ...items,
+  { id: `${record.date}-${record.name}-${record.score}`, record, attempts: 0, nextAttemptAt: now }
+]);
+
+let flushing = null;
+
+// Send every queued score that's due, one at a time. Resolves with the queue
+// left over and the scores the server turned down (they aren't retried):
+// { queue, rejected: [{ record, reason }] }
+export const flushScoreQueue = (server, now = Date.now()) => {
+  if (flushing) return flushing;
+
+  const due = loadScoreQueue().filter(item => item.nextAttemptAt <= now);
+  const rejected = [];
+
+  flushing = due
+    .reduce((previous, item) => previous.then(() => (
+      submitScore(server, item.record)
+        .then(() => {
+          updateScoreQueue(items => items.filter(queued => queued.id !== item.id));
+        })
+        .catch(error => {
+          if (error.retry) {
+            updateScoreQueue(items => items.map(queued => (
+              queued.id === item.id
+                ? { ...queued, attempts: queued.attempts + 1, nextAttemptAt: Date.now() + retryDelay(queued.attempts) }
+                : queued
+            )));
+          } else {
+            rejected.push({ record: item.record, reason: error.message });
+            updateScoreQueue(items => items.filter(queued => queued.id !== item.id));
+          }
+        })
+    )), Promise.resolve())
+    .then(() => {
+      flushing = null;
+      return { queue: loadScoreQueue(), rejected };
+    });
+
+  return flushing;
+};
@@ -0,0 +1,53 @@
+import { loadScoreQueue, queueScore } from './onlineLeaderboard';
+
+const record = (score) => ({
+  name: 'Sam',
+  score,
+  date: new Date(2026, 9, 19, 12, score).toISOString(),
+  replay: { version: 1, seed: score, inputs: [['x'.repeat(400)]] }
+});
+
+// Storage that holds this many characters in all
+const fillStorageAt = (limit) => {
+  const setItem = Storage.prototype.setItem;
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+    const others = Object.keys(localStorage)
+      .filter(other => other !== key)
+      .reduce((size, other) => size + localStorage.getItem(other).length, 0);
+    if (others + value.length > limit) {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    }
+    return setItem.call(this, key, value);
+  });
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('queueScore', () => {
+  it('keeps the queue in storage', () => {
+    queueScore(record(1));
+    const queue = queueScore(record(2));
+    expect(queue.map(item => item.record.score)).toEqual([1, 2]);
+    expect(loadScoreQueue()).toEqual(queue);
+  });
+
+  it('drops the oldest scores when the storage is full', () => {
+    fillStorageAt(1500);
+    [1, 2, 3, 4, 5].forEach(score => {
+      expect(() => queueScore(record(score))).not.toThrow();
+    });
+    const queue = loadScoreQueue();
+    expect(queue.length).toBeGreaterThan(0);
+    expect(queue.length).toBeLessThan(5);
+    expect(queue[queue.length - 1].record.score).toBe(5);
+  });
+
+  it("doesn't throw when nothing fits", () => {
+    fillStorageAt(10);
+    expect(queueScore(record(1))).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+// Special food and power-ups. Times are in milliseconds of game time: every
+// tick advances the clock by the tick's length, so effects stay deterministic
+// for replays and pausing doesn't eat into them.
+
+export const POWER_UPS = {
+  bonus: {
+    label: 'Bonus',
+    symbol: '★',
+    color: '#FFD700',
+    chance: 0.25, // rolled each time regular food is eaten
+    lifetime: 5000, // how long it stays on the board
+    duration: 0, // instant
+    points: 5,
+    sound: 'bonus'
+  },
+  slow: {
+    label: 'Slow-mo',
+    symbol: '⏳',
+    color: '#4FC3F7',
+    chance: 0.12,
+    lifetime: 7000,
+    duration: 8000,
+    slowFactor: 1.6, // ticks take this much longer while active
+    points: 0,
+    sound: 'slow'
+  },
+  ghost: {
+    label: 'Ghost',
+    symbol: '👻',
+    color: '#E0E0E0',
+    chance: 0.1,
+    lifetime: 7000,
+    duration: 6000,
+    points: 0,
+    sound: 'ghost'
+  },
+  shrink: {
+    label: 'Shrink',
+    symbol: '✂',
+    color: '#BA68C8',
+    chance: 0.1,
+    lifetime: 7000,
+    duration: 0,
+    shrinkBy: 3,
+    points: 0,
+    sound: 'shrink'
+  },
+  multiplier: {
+    label: 'Score x2',
+    symbol: '×2',
+    color: '#FF8A65',
+    chance: 0.08,
+    lifetime: 6000,
+    duration: 10000,
+    factor: 2,
+    points: 0,
+    sound: 'multiplier'
+  }
+};
+
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
+
+export const isEffectActive = (state, type) => {
+  return state.effects.some(effect => effect.type === type && effect.expiresAt > state.time);
+};
+
+// Milliseconds until an effect or board item runs out
+export const timeLeft = (state, expiresAt) => Math.max(0, expiresAt - state.time);
+
+// Tick length with slow-motion applied
+export const effectiveSpeed = (state) => {
+  if (!state.effects || !isEffectActive(state, 'slow')) return state.speed;
+  return Math.round(state.speed * POWER_UPS.slow.slowFactor);
+};
+
+// Points for eating something, with the score multiplier applied
+export const pointsFor = (state, basePoints) => {
+  return isEffectActive(state, 'multiplier') ? basePoints * POWER_UPS.multiplier.factor : basePoints;
+};
+
+// Roll for a power-up to spawn. Each type gets one roll, in table order.
+export const rollPowerUp = (random) => {
+  return POWER_UP_TYPES.find(type => random() < POWER_UPS[type].chance) || null;
+};
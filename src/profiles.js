@@ -0,0 +1,151 @@
+// Player profiles for a shared device - a name, an avatar color and lifetime
+// stats, with a short history of recent games for the stats charts.
+const PROFILES_KEY = 'snakeProfiles';
+export const PROFILES_VERSION = 1;
+
+// Games kept per profile for the charts
+const MAX_HISTORY = 50;
+
+export const AVATAR_COLORS = ['#FF0000', '#FF7F00', '#FFD700', '#00C853', '#0000FF', '#4B0082', '#9400D3', '#FF69B4'];
+
+// How a game ended - engine game over causes plus a manual end
+export const DEATH_CAUSES = [
+  { id: 'self', label: 'Ran into itself', color: '#f56565' },
+  { id: 'wall', label: 'Hit a wall', color: '#2d3748' },
+  { id: 'time', label: 'Ran out of time', color: '#4299e1' },
+  { id: 'lives', label: 'Ran out of lives', color: '#9f7aea' },
+  { id: 'ended', label: 'Ended the game', color: '#ecc94b' }
+];
+
+const emptyStats = () => ({
+  gamesPlayed: 0,
+  foodEaten: 0,
+  longestSnake: 0,
+  highestLevel: 0,
+  totalPlayTime: 0,
+  deaths: DEATH_CAUSES.reduce((deaths, cause) => ({ ...deaths, [cause.id]: 0 }), {})
+});
+
+const emptyStore = () => ({ version: PROFILES_VERSION, activeId: null, profiles: [] });
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const validateProfile = (item) => {
+  if (
+    typeof item !== 'object' ||
+    item === null ||
+    typeof item.id !== 'string' ||
+    typeof item.name !== 'string' ||
+    typeof item.color !== 'string' ||
+    typeof item.stats !== 'object' ||
+    item.stats === null ||
+    !Array.isArray(item.history)
+  ) {
+    throw new Error('Invalid profile');
+  }
+  // Missing or broken counters start again from zero
+  const defaults = emptyStats();
+  const stats = Object.keys(defaults).reduce((valid, key) => {
+    if (key === 'deaths') {
+      const deaths = item.stats.deaths || {};
+      return {
+        ...valid,
+        deaths: DEATH_CAUSES.reduce((counts, cause) => ({
+          ...counts,
+          [cause.id]: isCount(deaths[cause.id]) ? deaths[cause.id] : 0
+        }), {})
+      };
+    }
+    return { ...valid, [key]: isCount(item.stats[key]) ? item.stats[key] : defaults[key] };
+  }, {});
+  const history = item.history.filter(game => (
+    typeof game === 'object' && game !== null && typeof game.score === 'number' && typeof game.date === 'string'
+  ));
+  return { id: item.id, name: item.name, color: item.color, stats, history };
+};
+
+export const loadProfiles = () => {
+  try {
+    const saved = localStorage.getItem(PROFILES_KEY);
+    if (!saved) return emptyStore();
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== PROFILES_VERSION || !Array.isArray(parsed.profiles)) {
+      throw new Error('Unknown profiles format');
+    }
+    // Skip any profile that no longer validates instead of losing all of them
+    const profiles = parsed.profiles.reduce((valid, item) => {
+      try {
+        return [...valid, validateProfile(item)];
+      } catch (error) {
+        console.log('Skipping invalid profile:', error);
+        return valid;
+      }
+    }, []);
+    const activeId = profiles.some(profile => profile.id === parsed.activeId) ? parsed.activeId : null;
+    return { version: PROFILES_VERSION, activeId, profiles };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting profiles:', error);
+    localStorage.removeItem(PROFILES_KEY);
+    return emptyStore();
+  }
+};
+
+export const saveProfiles = (store) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+  return store;
+};
+
+export const getActiveProfile = (store) => {
+  return store.profiles.find(profile => profile.id === store.activeId) || null;
+};
+
+// Add a profile and make it the active one
+export const addProfile = (store, name, color) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Please enter a name');
+  }
+  if (store.profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`There is already a player called ${trimmed}`);
+  }
+  const profile = {
+    id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name: trimmed,
+    color,
+    stats: emptyStats(),
+    history: []
+  };
+  return { ...store, activeId: profile.id, profiles: [...store.profiles, profile] };
+};
+
+export const removeProfile = (store, profileId) => ({
+  ...store,
+  activeId: store.activeId === profileId ? null : store.activeId,
+  profiles: store.profiles.filter(profile => profile.id !== profileId)
+});
+
+// Choose who is playing - null plays as a guest
+export const selectProfile = (store, profileId) => ({ ...store, activeId: profileId });
+
+// Add a finished game to a profile's stats. `game` has score, level,
+// length, playTime, food and cause.
+export const recordGame = (store, profileId, game, date = new Date()) => ({
+  ...store,
+  profiles: store.profiles.map(profile => {
+    if (profile.id !== profileId) return profile;
+    const { stats } = profile;
+    return {
+      ...profile,
+      stats: {
+        gamesPlayed: stats.gamesPlayed + 1,
+        foodEaten: stats.foodEaten + game.food,
+        longestSnake: Math.max(stats.longestSnake, game.length),
+        highestLevel: Math.max(stats.highestLevel, game.level),
+        totalPlayTime: stats.totalPlayTime + game.playTime,
+        deaths: { ...stats.deaths, [game.cause]: (stats.deaths[game.cause] || 0) + 1 }
+      },
+      history: [...profile.history, { ...game, date: date.toISOString() }].slice(-MAX_HISTORY)
+    };
+  })
+});
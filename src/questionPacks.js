@@ -0,0 +1,165 @@
+// Question packs for learning mode. A pack is a JSON file with one or more
+// difficulty levels:
+//
+//   { "version": 1, "name": "Maths", "subject": "math",
+//     "levels": [{ "id": "easy", "label": "Easy", "questions": [...] }] }
+//
+// Math questions are { "prompt": "3 + 4", "answer": "7", "wrong": ["6", "8"] }
+// - wrong answers are optional for numbers, nearby numbers are used instead.
+// Spelling questions are { "word": "CAT", "hint": "A pet that purrs" }.
+// The built-in packs live in questionPacks/; imported ones are kept in
+// localStorage.
+import mathsPack from './questionPacks/maths.json';
+import spellingPack from './questionPacks/spelling.json';
+import { LEARNING_PENALTIES, MAX_QUESTIONS, validateQuestion } from './learning';
+
+const PACKS_KEY = 'snakeQuestionPacks';
+const LEARNING_KEY = 'snakeLearning';
+export const PACK_VERSION = 1;
+
+const MAX_PACKS = 20;
+
+const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.trim().length <= max;
+
+// Check a pack, returning a cleaned-up copy. Throws with a message to show.
+export const validateQuestionPack = (pack) => {
+  if (typeof pack !== 'object' || pack === null || pack.version !== PACK_VERSION) {
+    throw new Error('File is not a Rainbow Snake question pack');
+  }
+  if (!isText(pack.name, 30)) {
+    throw new Error('Question pack needs a name of up to 30 characters');
+  }
+  if (pack.subject !== 'math' && pack.subject !== 'spelling') {
+    throw new Error('Question pack subject must be "math" or "spelling"');
+  }
+  if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+    throw new Error('Question pack needs at least one level');
+  }
+
+  const levels = pack.levels.map((level, index) => {
+    if (typeof level !== 'object' || level === null || !isText(level.id, 30) || !isText(level.label, 60)) {
+      throw new Error(`Level ${index + 1} needs an id and a label`);
+    }
+    if (!Array.isArray(level.questions) || level.questions.length === 0 || level.questions.length > MAX_QUESTIONS) {
+      throw new Error(`Level "${level.label}" needs 1 to ${MAX_QUESTIONS} questions`);
+    }
+    return {
+      id: level.id.trim(),
+      label: level.label.trim(),
+      questions: level.questions.map((question, questionIndex) => (
+        validateQuestion(pack.subject, question, `Question ${questionIndex + 1} of "${level.label}"`)
+      ))
+    };
+  });
+  if (new Set(levels.map(level => level.id)).size !== levels.length) {
+    throw new Error('Question pack levels must have different ids');
+  }
+
+  return { version: PACK_VERSION, name: pack.name.trim(), subject: pack.subject, levels };
+};
+
+// Parse an imported pack file
+export const parseQuestionPack = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Question pack file is not valid JSON');
+  }
+  return validateQuestionPack(parsed);
+};
+
+export const BUILT_IN_PACKS = [mathsPack, spellingPack].map(validateQuestionPack);
+
+export const loadQuestionPacks = () => {
+  try {
+    const saved = localStorage.getItem(PACKS_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== PACK_VERSION || !Array.isArray(parsed.packs)) {
+      throw new Error('Unknown question packs format');
+    }
+    // Skip any pack that no longer validates instead of losing all of them
+    return parsed.packs.reduce((packs, item) => {
+      try {
+        return [...packs, validateQuestionPack(item)];
+      } catch (error) {
+        console.log('Skipping invalid question pack:', error);
+        return packs;
+      }
+    }, []);
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting question packs:', error);
+    localStorage.removeItem(PACKS_KEY);
+    return [];
+  }
+};
+
+const storePacks = (packs) => {
+  localStorage.setItem(PACKS_KEY, JSON.stringify({ version: PACK_VERSION, packs }));
+  return packs;
+};
+
+// Save an imported pack, replacing any imported pack with the same name
+export const saveQuestionPack = (pack) => {
+  if (BUILT_IN_PACKS.some(item => item.name === pack.name)) {
+    throw new Error(`There's already a built-in pack called ${pack.name} - rename yours`);
+  }
+  const packs = loadQuestionPacks().filter(item => item.name !== pack.name);
+  if (packs.length >= MAX_PACKS) {
+    throw new Error(`You can keep up to ${MAX_PACKS} question packs - delete one first`);
+  }
+  return storePacks([...packs, pack]);
+};
+
+export const deleteQuestionPack = (name) => storePacks(loadQuestionPacks().filter(item => item.name !== name));
+
+// The pack, level and penalty picked on the start screen
+export const DEFAULT_LEARNING = { pack: BUILT_IN_PACKS[0].name, level: BUILT_IN_PACKS[0].levels[0].id, penalty: 'length' };
+
+export const loadLearningChoice = () => {
+  try {
+    const saved = localStorage.getItem(LEARNING_KEY);
+    if (!saved) return DEFAULT_LEARNING;
+    const parsed = JSON.parse(saved);
+    if (
+      typeof parsed !== 'object' ||
+      parsed === null ||
+      parsed.version !== PACK_VERSION ||
+      typeof parsed.pack !== 'string' ||
+      typeof parsed.level !== 'string' ||
+      !LEARNING_PENALTIES.some(penalty => penalty.id === parsed.penalty)
+    ) {
+      throw new Error('Unknown learning settings format');
+    }
+    return { pack: parsed.pack, level: parsed.level, penalty: parsed.penalty };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting learning settings:', error);
+    localStorage.removeItem(LEARNING_KEY);
+    return DEFAULT_LEARNING;
+  }
+};
+
+export const saveLearningChoice = (choice) => {
+  localStorage.setItem(LEARNING_KEY, JSON.stringify({ version: PACK_VERSION, ...choice }));
+  return choice;
+};
+
+// Find the picked pack and level, falling back to the first of each when
+// they've been deleted
+export const findPackLevel = (packs, choice) => {
+  const pack = packs.find(item => item.name === choice.pack) || packs[0];
+  const level = pack.levels.find(item => item.id === choice.level) || pack.levels[0];
+  return { pack, level };
+};
+
+// The engine config for a learning game (config.learning, see learning)
+export const learningConfig = (pack, level, penalty) => ({
+  name: pack.name,
+  subject: pack.subject,
+  level: level.label,
+  penalty,
+  questions: level.questions
+});
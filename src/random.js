@@ -0,0 +1,37 @@
+// Seeded pseudo-random numbers so runs can be reproduced and compared.
+// A generator is a plain function returning floats in [0, 1), so it can be
+// passed anywhere Math.random is expected (see snakeEngine).
+
+// mulberry32 - small, fast and good enough for spawning food
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a hash to turn any string into a 32-bit seed
+export const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Local calendar date as YYYY-MM-DD
+export const dateKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Everyone playing on the same day gets the same seed
+export const dailySeed = (date = new Date()) => hashString(`daily-${dateKey(date)}`);
@@ -0,0 +1,125 @@
+// Game recordings: the seed plus the direction inputs and the tick they were
+// applied on. Because the engine is deterministic, re-running the inputs
+// against the same seed reproduces the whole game.
+import { changeDirection, createGame, tick } from './snakeEngine';
+import { createRng } from './random';
+import { GAME_MODES } from './gameModes';
+import { validateLearningConfig } from './learning';
+import { validateMap } from './levelMaps';
+import { DEFAULT_SETTINGS, validateSettings } from './settings';
+
+export const REPLAY_VERSION = 1;
+
+export const createReplay = (seed, config, mode = 'endless') => ({
+  version: REPLAY_VERSION,
+  seed,
+  config,
+  mode,
+  inputs: [],
+  endTick: null,
+  score: 0
+});
+
+// Inputs are stored as [tick, direction] pairs to keep exported files small
+export const recordInput = (replay, tickNumber, direction) => ({
+  ...replay,
+  inputs: [...replay.inputs, [tickNumber, direction]]
+});
+
+export const finishReplay = (replay, state) => ({
+  ...replay,
+  endTick: state.tick,
+  score: state.score
+});
+
+// Step through a replay one tick at a time. The generator is handed out
+// too, so a game rebuilt from its replay can carry on where it left off.
+export const createReplayPlayer = (replay) => {
+  const rng = createRng(replay.seed);
+  let state = createGame(replay.config, rng);
+  let inputIndex = 0;
+
+  const isDone = () => {
+    return state.gameOver || (replay.endTick !== null && state.tick >= replay.endTick);
+  };
+
+  const step = () => {
+    if (isDone()) return state;
+
+    // Apply every input that was made before this tick ran
+    while (inputIndex < replay.inputs.length && replay.inputs[inputIndex][0] <= state.tick) {
+      state = changeDirection(state, replay.inputs[inputIndex][1]);
+      inputIndex++;
+    }
+
+    state = tick(state, rng).state;
+    return state;
+  };
+
+  return { getState: () => state, step, isDone, rng };
+};
+
+export const serializeReplay = (replay) => JSON.stringify(replay);
+
+// Check the config a replay was played with is one the game could have
+// made, so a hand-edited file can't crash the viewer or hang the leaderboard
+// server. Replays from older versions of the game are missing the fields
+// added since - the engine treats those as off. Returns the config with its
+// questions cleaned up the way question packs are.
+const validateReplayConfig = (config) => {
+  const { maps, learning } = config;
+  if (maps !== undefined && maps !== null) {
+    if (!Array.isArray(maps) || maps.length === 0 || !maps.every(map => typeof map === 'object' && map !== null && typeof map.name === 'string')) {
+      throw new Error('Replay maps must be a list of maps');
+    }
+    maps.forEach(validateMap);
+    if (!maps.every(map => map.gridSize === config.gridSize)) {
+      throw new Error("Replay maps don't match its board size");
+    }
+  }
+
+  // Maps bring their own grid size, checked with the maps
+  validateSettings({
+    speedCurve: DEFAULT_SETTINGS.speedCurve,
+    walls: false,
+    ...config,
+    gridSize: maps ? DEFAULT_SETTINGS.gridSize : config.gridSize
+  });
+
+  if (config.powerUps !== undefined && typeof config.powerUps !== 'boolean') {
+    throw new Error('Replay power-ups must be on or off');
+  }
+  const mode = config.mode === undefined ? 'endless' : config.mode;
+  const timeLimit = config.timeLimit === undefined ? null : config.timeLimit;
+  if (!GAME_MODES.some(gameMode => gameMode.rules === mode && (gameMode.timeLimit || null) === timeLimit)) {
+    throw new Error('Replay has an unknown game mode');
+  }
+  if ((mode === 'learning') !== Boolean(learning)) {
+    throw new Error('Only learning mode replays have questions');
+  }
+  return learning ? { ...config, learning: validateLearningConfig(learning) } : config;
+};
+
+// Parse an imported replay file, throwing if it isn't one
+export const parseReplay = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (
+    typeof parsed !== 'object' ||
+    parsed === null ||
+    parsed.version !== REPLAY_VERSION ||
+    typeof parsed.seed !== 'number' ||
+    typeof parsed.config !== 'object' ||
+    parsed.config === null ||
+    !Array.isArray(parsed.inputs) ||
+    !parsed.inputs.every(input => Array.isArray(input) && typeof input[0] === 'number' && typeof input[1] === 'string')
+  ) {
+    throw new Error('File is not a Rainbow Snake replay');
+  }
+  return { ...parsed, config: validateReplayConfig(parsed.config) };
+};
@@ -0,0 +1,86 @@
+import { DEFAULT_CONFIG, changeDirection, createGame, tick } from './snakeEngine';
+import { createRng } from './random';
+import { campaignMaps } from './levelMaps';
+import { createReplay, createReplayPlayer, finishReplay, parseReplay, recordInput, serializeReplay } from './replay';
+
+// Play a game the way SnakeGame does, recording every turn
+const playRecorded = (config, seed, turns) => {
+  const rng = createRng(seed);
+  let state = createGame(config, rng);
+  let replay = createReplay(seed, config);
+  for (let i = 0; i < 400 && !state.gameOver; i++) {
+    const turn = turns[i % turns.length];
+    if (i % 3 === 0) {
+      state = changeDirection(state, turn);
+      replay = recordInput(replay, state.tick, turn);
+    }
+    state = tick(state, rng).state;
+  }
+  return { state, replay: finishReplay(replay, state) };
+};
+
+const runReplay = (replay) => {
+  const player = createReplayPlayer(replay);
+  while (!player.isDone()) {
+    player.step();
+  }
+  return player.getState();
+};
+
+describe('createReplayPlayer', () => {
+  it('reproduces the game it recorded', () => {
+    const { state, replay } = playRecorded(DEFAULT_CONFIG, 1234, ['UP', 'RIGHT', 'DOWN', 'RIGHT']);
+    const replayed = runReplay(parseReplay(serializeReplay(replay)));
+    expect(replayed.score).toBe(state.score);
+    expect(replayed.tick).toBe(state.tick);
+    expect(replayed.snake).toEqual(state.snake);
+  });
+
+  it('reproduces a map game', () => {
+    const config = { ...DEFAULT_CONFIG, gridSize: campaignMaps[0].gridSize, maps: campaignMaps };
+    const { state, replay } = playRecorded(config, 99, ['DOWN', 'LEFT', 'UP', 'LEFT']);
+    expect(runReplay(parseReplay(serializeReplay(replay))).score).toBe(state.score);
+  });
+});
+
+describe('parseReplay', () => {
+  const withConfig = (config) => serializeReplay({ ...createReplay(1, DEFAULT_CONFIG), config });
+
+  it('rejects files that are not replays', () => {
+    expect(() => parseReplay('nope')).toThrow('Replay file is not valid JSON');
+    expect(() => parseReplay('{"version":1}')).toThrow('File is not a Rainbow Snake replay');
+  });
+
+  it('accepts replays from before speed curves and walls', () => {
+    const { gridSize, initialSpeed, minSpeed, pointsPerLevel, maxLevel } = DEFAULT_CONFIG;
+    expect(() => parseReplay(withConfig({ gridSize, initialSpeed, minSpeed, pointsPerLevel, maxLevel }))).not.toThrow();
+  });
+
+  it('cleans up learning questions the way question packs are', () => {
+    const learning = {
+      name: 'Mixed',
+      subject: 'spelling',
+      level: 'Easy',
+      penalty: 'length',
+      questions: [{ word: ' cat ', hint: ' A pet ' }]
+    };
+    const replay = parseReplay(withConfig({ ...DEFAULT_CONFIG, mode: 'learning', learning }));
+    expect(replay.config.learning.questions).toEqual([{ word: 'CAT', hint: 'A pet' }]);
+
+    const math = { ...learning, subject: 'math', questions: [{ prompt: '1 + 1', answer: 2, wrong: ['2', ' 3 '] }] };
+    const mathReplay = parseReplay(withConfig({ ...DEFAULT_CONFIG, mode: 'learning', learning: math }));
+    expect(mathReplay.config.learning.questions).toEqual([{ prompt: '1 + 1', answer: '2', wrong: ['3'] }]);
+  });
+
+  it('rejects configs the game could not have made', () => {
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, gridSize: 1000000 }))).toThrow('Grid size');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, gridSize: undefined }))).toThrow('Grid size');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, initialSpeed: '165' }))).toThrow('Starting speed');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, powerUps: 'yes' }))).toThrow('power-ups');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, mode: 'timeAttack', timeLimit: 1 }))).toThrow('game mode');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, maps: [{ name: 'Bad' }] }))).toThrow('Map grid size');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, maps: campaignMaps, gridSize: 30 }))).toThrow('board size');
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, mode: 'learning', learning: { subject: 'math' } }))).toThrow();
+    expect(() => parseReplay(withConfig({ ...DEFAULT_CONFIG, mode: 'learning' }))).toThrow('questions');
+  });
+});
@@ -0,0 +1,95 @@
+// The game in progress, saved when the page is hidden or closed so it can be
+// continued later. The replay is kept with the board: re-running it is the
+// only way to get the random numbers back to where they were.
+import { changeDirection } from './snakeEngine';
+import { createReplayPlayer } from './replay';
+
+const SAVED_GAME_KEY = 'snakeSavedGame';
+export const SAVED_GAME_VERSION = 1;
+
+const isCell = (cell) => typeof cell === 'object' && cell !== null && Number.isInteger(cell.x) && Number.isInteger(cell.y);
+
+const isSavedGame = (saved) => (
+  typeof saved === 'object' &&
+  saved !== null &&
+  saved.version === SAVED_GAME_VERSION &&
+  typeof saved.savedAt === 'string' &&
+  typeof saved.state === 'object' && saved.state !== null &&
+  Array.isArray(saved.state.snake) && saved.state.snake.length > 0 && saved.state.snake.every(isCell) &&
+  Number.isInteger(saved.state.tick) &&
+  Number.isInteger(saved.state.score) &&
+  Number.isInteger(saved.state.level) &&
+  typeof saved.replay === 'object' && saved.replay !== null &&
+  typeof saved.replay.seed === 'number' &&
+  Array.isArray(saved.replay.inputs) &&
+  typeof saved.modes === 'object' && saved.modes !== null &&
+  ['daily', 'campaign', 'powerUps'].every(mode => typeof saved.modes[mode] === 'boolean') &&
+  (saved.modes.custom === null || typeof saved.modes.custom === 'object') &&
+  typeof saved.settings === 'object' && saved.settings !== null &&
+  Number.isInteger(saved.foodEaten) &&
+  typeof saved.autopilotUsed === 'boolean'
+);
+
+// `modes` is { daily, campaign, powerUps, custom, gameMode } from the start
+// screen. Games saved before game modes have no gameMode and are endless.
+export const saveGameInProgress = ({ state, replay, modes, settings, foodEaten, autopilotUsed }, date = new Date()) => {
+  localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({
+    version: SAVED_GAME_VERSION,
+    savedAt: date.toISOString(),
+    state,
+    replay,
+    modes,
+    settings,
+    foodEaten,
+    autopilotUsed
+  }));
+};
+
+export const loadSavedGame = () => {
+  try {
+    const saved = localStorage.getItem(SAVED_GAME_KEY);
+    if (!saved) return null;
+    const parsed = JSON.parse(saved);
+    if (!isSavedGame(parsed)) {
+      throw new Error('Unknown saved game format');
+    }
+    return parsed;
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Discarding saved game:', error);
+    localStorage.removeItem(SAVED_GAME_KEY);
+    return null;
+  }
+};
+
+export const clearSavedGame = () => {
+  localStorage.removeItem(SAVED_GAME_KEY);
+};
+
+// Rebuild the saved game from its replay. Returns the state and the random
+// generator to keep playing with. Throws if the replay doesn't lead back to
+// the saved board (saved by an older version of the rules, say).
+export const restoreSavedGame = (saved) => {
+  const player = createReplayPlayer({ ...saved.replay, endTick: saved.state.tick });
+  while (!player.isDone()) {
+    player.step();
+  }
+
+  let state = player.getState();
+  if (
+    state.tick !== saved.state.tick ||
+    state.score !== saved.state.score ||
+    JSON.stringify(state.snake) !== JSON.stringify(saved.state.snake)
+  ) {
+    throw new Error("The saved game couldn't be restored");
+  }
+
+  // Turns made since the last move haven't been played yet
+  saved.replay.inputs
+    .filter(([tickNumber]) => tickNumber >= state.tick)
+    .forEach(([, direction]) => {
+      state = changeDirection(state, direction);
+    });
+
+  return { state, rng: player.rng };
+};
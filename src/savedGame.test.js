@@ -0,0 +1,90 @@
+import { DEFAULT_CONFIG, changeDirection, createGame, tick } from './snakeEngine';
+import { createRng } from './random';
+import { createReplay, recordInput } from './replay';
+import { DEFAULT_SETTINGS } from './settings';
+import { clearSavedGame, loadSavedGame, restoreSavedGame, saveGameInProgress } from './savedGame';
+
+const modes = { daily: false, campaign: false, powerUps: true, custom: null, gameMode: 'endless' };
+
+// Part of a game, played the way SnakeGame does, with the generator it left off at
+const playSome = (seed, ticks) => {
+  const rng = createRng(seed);
+  let state = createGame(DEFAULT_CONFIG, rng);
+  let replay = createReplay(seed, DEFAULT_CONFIG);
+  for (let i = 0; i < ticks; i++) {
+    if (i % 4 === 0) {
+      const turn = ['UP', 'LEFT', 'DOWN', 'RIGHT'][(i / 4) % 4];
+      state = changeDirection(state, turn);
+      replay = recordInput(replay, state.tick, turn);
+    }
+    state = tick(state, rng).state;
+  }
+  return { state, replay, rng };
+};
+
+const save = ({ state, replay }) => saveGameInProgress({
+  state,
+  replay,
+  modes,
+  settings: DEFAULT_SETTINGS,
+  foodEaten: 0,
+  autopilotUsed: false
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('restoreSavedGame', () => {
+  it('rebuilds the saved board and carries on with the same random numbers', () => {
+    const game = playSome(77, 30);
+    save(game);
+
+    const saved = loadSavedGame();
+    expect(saved.modes).toEqual(modes);
+    const { state, rng } = restoreSavedGame(saved);
+    expect(state).toEqual(game.state);
+
+    // Both games go on the same way
+    let original = game.state;
+    let restored = state;
+    for (let i = 0; i < 50; i++) {
+      original = tick(original, game.rng).state;
+      restored = tick(restored, rng).state;
+    }
+    expect(restored).toEqual(original);
+  });
+
+  it('applies a turn made since the last move', () => {
+    const game = playSome(5, 9);
+    expect(game.state.direction).toBe('DOWN');
+    const turned = changeDirection(game.state, 'RIGHT');
+    save({ state: turned, replay: recordInput(game.replay, turned.tick, 'RIGHT') });
+    expect(restoreSavedGame(loadSavedGame()).state.direction).toBe('RIGHT');
+  });
+
+  it("throws when the replay doesn't lead back to the saved board", () => {
+    const game = playSome(12, 10);
+    save({ ...game, state: { ...game.state, score: game.state.score + 5 } });
+    expect(() => restoreSavedGame(loadSavedGame())).toThrow("The saved game couldn't be restored");
+  });
+});
+
+describe('loadSavedGame', () => {
+  it('discards a saved game it does not understand', () => {
+    localStorage.setItem('snakeSavedGame', '{"version":1}');
+    expect(loadSavedGame()).toBeNull();
+    expect(localStorage.getItem('snakeSavedGame')).toBeNull();
+  });
+
+  it('has nothing once cleared', () => {
+    save(playSome(1, 3));
+    clearSavedGame();
+    expect(loadSavedGame()).toBeNull();
+  });
+});
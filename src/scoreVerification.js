@@ -0,0 +1,86 @@
+// Checks for scores sent to the online leaderboard server
+// (server/leaderboardServer.mjs). Every score is re-run from its replay with
+// the game's own rules, so only what actually happened gets on the board.
+import { createReplayPlayer, parseReplay } from './replay';
+import { SCORE_MODES, createScoreRecord } from './highScores';
+import { validateSettings } from './settings';
+import { scoreModeConfig } from './gameConfig';
+import { dailySeed, dateKey } from './random';
+
+// Longest game we'll re-run - hours of play even at the fastest speed
+const MAX_TICKS = 200000;
+const MAX_NAME = 15;
+const DAY = 24 * 60 * 60 * 1000;
+
+// An error with the HTTP status the server answers with
+const scoreError = (status, message) => Object.assign(new Error(message), { status });
+
+// Daily scores must be the daily challenge of the day they say they were
+// played on - today, or yesterday for players behind the server's time zone
+const checkDailySeed = (body, seed, now) => {
+  const played = [now, new Date(now.getTime() - DAY)].find(date => dateKey(date) === body.day);
+  if (!played) {
+    throw scoreError(400, "Daily scores can only be sent for today's or yesterday's challenge");
+  }
+  if (seed !== dailySeed(played)) {
+    throw scoreError(422, `The replay isn't the daily challenge for ${body.day}`);
+  }
+};
+
+// Re-run the replay with the rules of the table it's filed under and build
+// the record from what actually happened. The config the replay claims is
+// only trusted for what the player brings (see scoreModeConfig) - settings
+// come from validateSettings, so the board size and speeds are ones the
+// settings screen allows. Throws an error with a `status` when the score
+// doesn't check out.
+export const verifyScore = (body, now = new Date()) => {
+  if (typeof body !== 'object' || body === null) {
+    throw scoreError(400, 'Expected a score record');
+  }
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (name === '' || name.length > MAX_NAME) {
+    throw scoreError(400, `Name must be 1 to ${MAX_NAME} characters`);
+  }
+  if (!SCORE_MODES.some(mode => mode.id === body.mode)) {
+    throw scoreError(400, 'Unknown game mode');
+  }
+
+  let replay;
+  let settings;
+  try {
+    const played = parseReplay(JSON.stringify(body.replay));
+    settings = validateSettings(body.settings);
+    replay = { ...played, config: scoreModeConfig(body.mode, settings, played.config) };
+  } catch (error) {
+    throw scoreError(400, error.message);
+  }
+  if (!Number.isInteger(replay.endTick) || replay.endTick < 0 || replay.endTick > MAX_TICKS) {
+    throw scoreError(400, 'Replay has no end');
+  }
+  if (body.mode === 'daily') {
+    checkDailySeed(body, replay.seed, now);
+  }
+
+  const player = createReplayPlayer(replay);
+  while (!player.isDone()) {
+    player.step();
+  }
+  const state = player.getState();
+  if (state.score !== body.score || state.score !== replay.score) {
+    throw scoreError(422, `The replay scores ${state.score}, not ${body.score}`);
+  }
+
+  const record = createScoreRecord({ name, state, mode: body.mode, settings, seed: replay.seed, replay, date: now });
+  // A daily game sent after midnight still counts for the day it was played
+  return body.mode === 'daily' ? { ...record, day: body.day } : record;
+};
+
+// The same game sent again - a retry after a lost answer. The same replay
+// filed under another table is a different score.
+export const isSameScore = (saved, record) => (
+  saved.name === record.name &&
+  saved.mode === record.mode &&
+  saved.seed === record.seed &&
+  saved.score === record.score &&
+  saved.replay.endTick === record.replay.endTick
+);
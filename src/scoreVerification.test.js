@@ -0,0 +1,79 @@
+import { createGame, tick } from './snakeEngine';
+import { createRng, dailySeed, dateKey } from './random';
+import { createReplay, finishReplay } from './replay';
+import { DEFAULT_SETTINGS } from './settings';
+import { buildConfig } from './gameConfig';
+import { isSameScore, verifyScore } from './scoreVerification';
+
+const settings = DEFAULT_SETTINGS;
+const now = new Date(2026, 9, 19, 12);
+const yesterday = new Date(2026, 9, 18, 12);
+
+// A short endless game played the way SnakeGame records it
+const scoreBody = (seed, overrides = {}) => {
+  const config = buildConfig({ settings, campaign: false, custom: null, powerUps: true });
+  const rng = createRng(seed);
+  let state = createGame(config, rng);
+  for (let i = 0; i < 100 && !state.gameOver; i++) {
+    state = tick(state, rng).state;
+  }
+  return {
+    name: 'Sam',
+    mode: 'endless',
+    settings,
+    score: state.score,
+    day: dateKey(now),
+    replay: finishReplay(createReplay(seed, config), state),
+    ...overrides
+  };
+};
+
+const statusOf = (body) => {
+  try {
+    verifyScore(body, now);
+    return 'ok';
+  } catch (error) {
+    return error.status;
+  }
+};
+
+describe('verifyScore', () => {
+  it('builds the record from the re-run game', () => {
+    const body = scoreBody(42);
+    const record = verifyScore(body, now);
+    expect(record.name).toBe('Sam');
+    expect(record.score).toBe(body.score);
+    expect(record.seed).toBe(42);
+    expect(record.replay.config.mode).toBe('endless');
+  });
+
+  it("rejects a score the replay doesn't make", () => {
+    const body = scoreBody(42);
+    expect(statusOf({ ...body, score: body.score + 10 })).toBe(422);
+  });
+
+  it("takes daily scores only for today's or yesterday's challenge", () => {
+    expect(verifyScore(scoreBody(dailySeed(now), { mode: 'daily' }), now).day).toBe('2026-10-19');
+
+    const late = scoreBody(dailySeed(yesterday), { mode: 'daily', day: dateKey(yesterday) });
+    expect(verifyScore(late, now).day).toBe('2026-10-18');
+
+    const old = new Date(2026, 9, 17, 12);
+    expect(statusOf(scoreBody(dailySeed(old), { mode: 'daily', day: dateKey(old) }))).toBe(400);
+  });
+
+  it("rejects a daily score that isn't the daily challenge", () => {
+    expect(statusOf(scoreBody(42, { mode: 'daily' }))).toBe(422);
+    expect(statusOf(scoreBody(dailySeed(yesterday), { mode: 'daily' }))).toBe(422);
+    expect(statusOf(scoreBody(dailySeed(now), { mode: 'daily', day: undefined }))).toBe(400);
+  });
+});
+
+describe('isSameScore', () => {
+  it('matches a resent game, but not the same game in another table', () => {
+    const record = verifyScore(scoreBody(42), now);
+    expect(isSameScore(record, verifyScore(scoreBody(42), now))).toBe(true);
+    expect(isSameScore(record, { ...record, mode: 'zen' })).toBe(false);
+    expect(isSameScore(record, { ...record, name: 'Alex' })).toBe(false);
+  });
+});
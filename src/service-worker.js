@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+// Offline support. create-react-app builds this into service-worker.js and
+// fills in self.__WB_MANIFEST with the app's own files; the sounds and icons
+// in public/ are added here.
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { SOUND_URLS } from './soundManager';
+
+// Bump when a file in public/ changes so players get the new one
+const PUBLIC_FILES_REVISION = '1';
+
+const publicFiles = [
+  ...SOUND_URLS,
+  '/manifest.json',
+  '/logo192.png',
+  '/logo512.png'
+].map(url => ({ url: `${process.env.PUBLIC_URL}${url}`, revision: PUBLIC_FILES_REVISION }));
+
+// A new version takes over as soon as it's installed - there's no state in
+// the page it could break, and saved games live in localStorage
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute([...self.__WB_MANIFEST, ...publicFiles]);
+
+// Every page load is the app shell, so the game opens offline
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
@@ -0,0 +1,16 @@
+// Register the offline service worker (see service-worker.js). Production
+// builds only - in development it would serve stale files.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => {
+        console.log('Service worker registered:', registration.scope);
+      })
+      .catch(error => {
+        console.log('Service worker registration error:', error);
+      });
+  });
+};
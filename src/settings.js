@@ -0,0 +1,123 @@
+// Player settings - the engine config values players can change, with
+// presets, validation and localStorage persistence.
+import { DEFAULT_CONFIG, SPEED_CURVES } from './snakeEngine';
+
+const SETTINGS_KEY = 'snakeSettings';
+
+export const SETTINGS_FIELDS = ['gridSize', 'initialSpeed', 'minSpeed', 'speedCurve', 'pointsPerLevel', 'maxLevel', 'walls'];
+
+export const SPEED_CURVE_OPTIONS = [
+  { id: 'linear', label: 'Steady' },
+  { id: 'gentle', label: 'Gentle start' },
+  { id: 'steep', label: 'Fast start' }
+];
+
+export const DEFAULT_SETTINGS = SETTINGS_FIELDS.reduce((settings, field) => ({
+  ...settings,
+  [field]: DEFAULT_CONFIG[field]
+}), {});
+
+export const SETTINGS_PRESETS = [
+  {
+    id: 'toddler',
+    label: 'Toddler',
+    description: 'Small board, slow snake, no walls',
+    settings: {
+      gridSize: 15,
+      initialSpeed: 260,
+      minSpeed: 160,
+      speedCurve: 'gentle',
+      pointsPerLevel: 15,
+      maxLevel: 5,
+      walls: false
+    }
+  },
+  {
+    id: 'classic',
+    label: 'Classic',
+    description: 'The original game',
+    settings: DEFAULT_SETTINGS
+  },
+  {
+    id: 'insane',
+    label: 'Insane',
+    description: 'Big board, walls, and it gets fast quickly',
+    settings: {
+      gridSize: 30,
+      initialSpeed: 90,
+      minSpeed: 40,
+      speedCurve: 'steep',
+      pointsPerLevel: 5,
+      maxLevel: 20,
+      walls: true
+    }
+  }
+];
+
+// The number fields with their allowed ranges. Speeds are milliseconds per
+// move, so smaller is faster.
+export const SETTINGS_LIMITS = {
+  gridSize: { label: 'Grid size', min: 10, max: 40 },
+  initialSpeed: { label: 'Starting speed (ms per move)', min: 40, max: 400 },
+  minSpeed: { label: 'Fastest speed (ms per move)', min: 30, max: 400 },
+  pointsPerLevel: { label: 'Points per level', min: 1, max: 50 },
+  maxLevel: { label: 'Max level', min: 1, max: 30 }
+};
+
+// Throws with a message the settings panel can show
+export const validateSettings = (settings) => {
+  if (typeof settings !== 'object' || settings === null) {
+    throw new Error('Settings must be an object');
+  }
+  Object.keys(SETTINGS_LIMITS).forEach(field => {
+    const { label, min, max } = SETTINGS_LIMITS[field];
+    const value = settings[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${label} must be a whole number from ${min} to ${max}`);
+    }
+  });
+  if (settings.minSpeed > settings.initialSpeed) {
+    throw new Error("The fastest speed can't be slower than the starting speed");
+  }
+  if (!Object.keys(SPEED_CURVES).includes(settings.speedCurve)) {
+    throw new Error('Unknown level curve');
+  }
+  if (typeof settings.walls !== 'boolean') {
+    throw new Error('Walls must be on or off');
+  }
+  // Drop anything that isn't a setting
+  return SETTINGS_FIELDS.reduce((valid, field) => ({ ...valid, [field]: settings[field] }), {});
+};
+
+export const loadSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    if (!saved) return DEFAULT_SETTINGS;
+    return validateSettings(JSON.parse(saved));
+  } catch (error) {
+    // If invalid format or error in parsing, clear localStorage
+    console.log('Resetting invalid settings:', error);
+    localStorage.removeItem(SETTINGS_KEY);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  const valid = validateSettings(settings);
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(valid));
+  return valid;
+};
+
+// The preset a set of settings matches, or null for custom settings
+export const findPreset = (settings) => {
+  return SETTINGS_PRESETS.find(preset => (
+    SETTINGS_FIELDS.every(field => preset.settings[field] === settings[field])
+  )) || null;
+};
+
+// Short label for high score lists
+export const settingsLabel = (settings) => {
+  const preset = findPreset(settings);
+  if (preset) return preset.label;
+  return `Custom ${settings.gridSize}x${settings.gridSize}${settings.walls ? ', walls' : ''}`;
+};
@@ -0,0 +1,30 @@
+// Snake skins - palettes for getSegmentColor. Rainbow is always available;
+// the others are unlocked by achievements (see achievements).
+import { rainbowColors } from './BoardPieces';
+
+export const SKINS = {
+  rainbow: {
+    label: 'Rainbow',
+    palette: rainbowColors
+  },
+  pastel: {
+    label: 'Pastel',
+    palette: ['#FFB3BA', '#FFDFBA', '#FFFFBA', '#BAFFC9', '#BAE1FF', '#D7BAFF']
+  },
+  neon: {
+    label: 'Neon',
+    palette: ['#39FF14', '#FF073A', '#0FF0FC', '#FFFF33', '#FF00FF']
+  },
+  monochrome: {
+    label: 'Monochrome',
+    palette: ['#111111', '#333333', '#555555', '#777777', '#999999', '#777777', '#555555', '#333333']
+  },
+  striped: {
+    label: 'Striped',
+    palette: ['#FFD700', '#FFD700', '#222222']
+  }
+};
+
+export const DEFAULT_SKIN = 'rainbow';
+
+export const skinPalette = (skinId) => (SKINS[skinId] || SKINS[DEFAULT_SKIN]).palette;
@@ -0,0 +1,440 @@
+// Pure snake rules - no React, no DOM, no timers.
+// Every function takes a game state and returns a new one, so the same rules
+// can drive the component, bots, replays or a headless simulation.
+import {
+  POWER_UPS,
+  effectiveSpeed,
+  isEffectActive,
+  pointsFor,
+  rollPowerUp
+} from './powerUps';
+import {
+  SURVIVAL_MAX_WALL_SHARE,
+  SURVIVAL_WALL_DISTANCE,
+  survivalSpeed,
+  survivalWallDue
+} from './gameModes';
+import { LENGTH_PENALTY, answerRight, answerWrong, choiceLabels, startLearning } from './learning';
+
+export const DEFAULT_CONFIG = {
+  gridSize: 20,
+  initialSpeed: 165, // 10% slower than original 150
+  minSpeed: 70,
+  speedCurve: 'linear', // how quickly levels close the gap to minSpeed (see SPEED_CURVES)
+  pointsPerLevel: 10,
+  maxLevel: 10,
+  walls: false, // classic walls - touching the border ends the game
+  maps: null, // optional list of level maps, one per level (see levelMaps)
+  powerUps: true, // special food and power-ups (see powerUps)
+  mode: 'endless', // game mode rules - endless, timeAttack, survival, zen or learning (see gameModes)
+  timeLimit: null, // time attack length in ms of game time
+  learning: null // learning mode questions (see learning)
+};
+
+export const DIRECTIONS = ['UP', 'DOWN', 'LEFT', 'RIGHT'];
+
+export const OPPOSITE_DIRECTION = {
+  UP: 'DOWN',
+  DOWN: 'UP',
+  LEFT: 'RIGHT',
+  RIGHT: 'LEFT'
+};
+
+// A turn is valid unless it reverses the snake onto itself
+export const isValidTurn = (currentDir, newDir) => {
+  return DIRECTIONS.includes(newDir) && OPPOSITE_DIRECTION[currentDir] !== newDir;
+};
+
+// Level curves - map progress through the levels (0 to 1) to the share of
+// the speed-up applied so far
+export const SPEED_CURVES = {
+  linear: (progress) => progress,
+  gentle: (progress) => progress * progress, // stays slow for longer
+  steep: (progress) => Math.sqrt(progress) // speeds up early
+};
+
+// Level 1: initialSpeed (165)
+// Max level: fastest speed (70)
+export const calculateSpeed = (lvl, config = DEFAULT_CONFIG) => {
+  if (config.maxLevel <= 1) return config.initialSpeed;
+  const maxSpeedReduction = config.initialSpeed - config.minSpeed;
+  const curve = SPEED_CURVES[config.speedCurve] || SPEED_CURVES.linear;
+  const reduction = curve((lvl - 1) / (config.maxLevel - 1)) * maxSpeedReduction;
+  return Math.round(config.initialSpeed - reduction);
+};
+
+export const levelForScore = (score, config = DEFAULT_CONFIG) => {
+  const newLevel = Math.floor(score / config.pointsPerLevel) + 1;
+  return Math.min(newLevel, config.maxLevel);
+};
+
+// Move a head one cell in the given direction. With `wrap` the head comes
+// back on the other side of the board, otherwise it can leave the board.
+export const moveHead = (head, direction, gridSize, wrap = true) => {
+  const next = { ...head };
+  switch (direction) {
+    case 'UP':
+      next.y = head.y - 1;
+      break;
+    case 'DOWN':
+      next.y = head.y + 1;
+      break;
+    case 'LEFT':
+      next.x = head.x - 1;
+      break;
+    case 'RIGHT':
+      next.x = head.x + 1;
+      break;
+    default:
+      break;
+  }
+  if (wrap) {
+    next.x = (next.x + gridSize) % gridSize;
+    next.y = (next.y + gridSize) % gridSize;
+  }
+  return next;
+};
+
+export const isOutOfBounds = (pos, gridSize) => {
+  return pos.x < 0 || pos.y < 0 || pos.x >= gridSize || pos.y >= gridSize;
+};
+
+export const isOnCells = (cells, pos) => {
+  return cells.some(cell => cell.x === pos.x && cell.y === pos.y);
+};
+
+// Pick a random free cell for the food, never on the snake or a wall.
+// `random` returns a float in [0, 1) like Math.random.
+// Returns null when there is no free cell left.
+export const generateFood = (snake, gridSize, random = Math.random, obstacles = []) => {
+  const freeCells = [];
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) {
+      if (!isOnCells(snake, { x, y }) && !isOnCells(obstacles, { x, y })) {
+        freeCells.push({ x, y });
+      }
+    }
+  }
+
+  if (freeCells.length === 0) return null;
+  return freeCells[Math.floor(random() * freeCells.length)];
+};
+
+// Survival: a free cell for a new wall, away from the snake's head so it
+// never appears right in front of it. Null when the board is full enough.
+const survivalWallCell = (state, snake, food, random) => {
+  const { gridSize } = state.config;
+  if (state.obstacles.length >= Math.floor(gridSize * gridSize * SURVIVAL_MAX_WALL_SHARE)) return null;
+
+  const head = snake[0];
+  const taken = [...snake, ...state.obstacles, food, state.powerUp].filter(Boolean);
+  const freeCells = [];
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) {
+      const nearHead = Math.abs(x - head.x) + Math.abs(y - head.y) < SURVIVAL_WALL_DISTANCE;
+      if (!nearHead && !isOnCells(taken, { x, y })) {
+        freeCells.push({ x, y });
+      }
+    }
+  }
+
+  if (freeCells.length === 0) return null;
+  return freeCells[Math.floor(random() * freeCells.length)];
+};
+
+// Learning: put the labeled foods for the current question on the board,
+// never next to the snake's head so nothing gets eaten by accident
+const placeChoices = (state, snake, learning, random) => {
+  const { gridSize } = state.config;
+  const nearHead = DIRECTIONS.map(dir => moveHead(snake[0], dir, gridSize));
+  const choices = [];
+  choiceLabels(state.config.learning, learning, random).forEach((label, index) => {
+    const taken = [...snake, ...nearHead, ...choices, state.powerUp].filter(Boolean);
+    const cell = generateFood(taken, gridSize, random, state.obstacles);
+    if (cell !== null) {
+      choices.push({ ...cell, label, correct: index === 0 });
+    }
+  });
+  return choices;
+};
+
+// Which map a level plays on - maps repeat once the list runs out
+export const mapIndexForLevel = (lvl, config = DEFAULT_CONFIG) => {
+  if (!config.maps || config.maps.length === 0) return null;
+  return (lvl - 1) % config.maps.length;
+};
+
+// Move the snake onto a map. The whole body starts stacked on the start cell
+// and unfurls as it moves, so the snake keeps its length between maps.
+const enterMap = (state, mapIndex, random) => {
+  const map = state.config.maps[mapIndex];
+  const snake = state.snake.map(() => ({ ...map.start }));
+  return {
+    ...state,
+    mapIndex,
+    obstacles: map.walls,
+    snake,
+    direction: map.direction,
+    food: generateFood(snake, state.config.gridSize, random, map.walls),
+    powerUp: null
+  };
+};
+
+export const createGame = (config = DEFAULT_CONFIG, random = Math.random) => {
+  const center = Math.floor(config.gridSize / 2);
+  const snake = [{ x: center, y: center }];
+
+  const state = {
+    config,
+    snake,
+    food: null,
+    powerUp: null, // { type, x, y, expiresAt } - at most one on the board
+    effects: [], // active power-ups: { type, expiresAt }
+    time: 0, // game time in ms, advanced by every tick
+    obstacles: [],
+    mapIndex: null,
+    learning: null, // question progress in learning mode (see learning)
+    choices: [], // learning mode foods: { x, y, label, correct }
+    direction: 'RIGHT',
+    score: 0,
+    level: 1,
+    speed: config.initialSpeed,
+    tick: 0,
+    gameOver: false
+  };
+
+  const mapIndex = mapIndexForLevel(1, config);
+  if (mapIndex !== null) {
+    return enterMap(state, mapIndex, random);
+  }
+  // Learning mode has labeled foods instead of the regular one
+  if (config.learning) {
+    const learning = startLearning(config.learning, random);
+    return { ...state, learning, choices: placeChoices(state, snake, learning, random) };
+  }
+  return { ...state, food: generateFood(snake, config.gridSize, random) };
+};
+
+// Apply a direction input. Reversals and unknown directions are ignored.
+export const changeDirection = (state, newDir) => {
+  if (state.gameOver || !isValidTurn(state.direction, newDir)) {
+    return state;
+  }
+  return { ...state, direction: newDir };
+};
+
+// Turns waiting for the next ticks, one used per tick, so quick presses
+// within a single tick all count. Each turn is checked against the last
+// queued one, so Up then Left while heading right can't reverse the snake.
+export const MAX_QUEUED_TURNS = 3;
+
+// The direction the snake will have once every queued turn is used
+export const lastQueuedDirection = (queue, currentDir) => {
+  return queue.length > 0 ? queue[queue.length - 1] : currentDir;
+};
+
+export const queueDirection = (queue, currentDir, newDir) => {
+  const lastDir = lastQueuedDirection(queue, currentDir);
+  if (!isValidTurn(lastDir, newDir) || newDir === lastDir || queue.length >= MAX_QUEUED_TURNS) {
+    return queue;
+  }
+  return [...queue, newDir];
+};
+
+// Eat a power-up: score it, shrink the snake, or start its timed effect
+const applyPowerUp = (state, snake, type) => {
+  const powerUp = POWER_UPS[type];
+  let { effects } = state;
+  let body = snake;
+
+  if (type === 'shrink') {
+    body = snake.slice(0, Math.max(1, snake.length - powerUp.shrinkBy));
+  }
+  if (powerUp.duration > 0) {
+    // Picking up an effect that is already running restarts its timer
+    effects = [
+      ...effects.filter(effect => effect.type !== type),
+      { type, expiresAt: state.time + powerUp.duration }
+    ];
+  }
+
+  return { snake: body, effects, points: pointsFor(state, powerUp.points) };
+};
+
+// Maybe put a power-up on the board after regular food was eaten
+const spawnPowerUp = (state, snake, food, random) => {
+  if (!state.config.powerUps || state.powerUp !== null) return state.powerUp;
+
+  const type = rollPowerUp(random);
+  if (type === null) return null;
+
+  const occupied = food ? [...snake, food] : snake;
+  const cell = generateFood(occupied, state.config.gridSize, random, state.obstacles);
+  if (cell === null) return null;
+
+  return { type, ...cell, expiresAt: state.time + POWER_UPS[type].lifetime };
+};
+
+// Advance the game by one move. Returns the new state and the events the
+// move produced: 'eat', 'powerUp', 'levelUp', 'mapChange', 'trim' (zen),
+// 'wall' (survival), 'answer' (learning) and 'gameOver'.
+export const tick = (state, random = Math.random) => {
+  if (state.gameOver) {
+    return { state, events: [] };
+  }
+
+  const { config } = state;
+  const events = [];
+  const zen = config.mode === 'zen';
+  // Zen always wraps - there's nothing to crash into
+  const head = moveHead(state.snake[0], state.direction, config.gridSize, !config.walls || zen);
+  const time = state.time + effectiveSpeed(state);
+
+  // Check for collision with the border and obstacles
+  if (isOutOfBounds(head, config.gridSize) || isOnCells(state.obstacles, head)) {
+    events.push({ type: 'gameOver', cause: 'wall' });
+    return {
+      state: { ...state, tick: state.tick + 1, time, gameOver: true },
+      events
+    };
+  }
+
+  // Check for collision with self - ghosts pass through their own body
+  const bitten = isEffectActive(state, 'ghost') ? -1 : state.snake.findIndex((segment, index) => {
+    return index > 0 && segment.x === head.x && segment.y === head.y;
+  });
+
+  if (bitten > 0 && !zen) {
+    events.push({ type: 'gameOver', cause: 'self' });
+    return {
+      state: { ...state, tick: state.tick + 1, time, gameOver: true },
+      events
+    };
+  }
+
+  // Check for food collision
+  const ateFood = state.food !== null && head.x === state.food.x && head.y === state.food.y;
+  const atePowerUp = state.powerUp !== null && head.x === state.powerUp.x && head.y === state.powerUp.y;
+  const choice = state.choices.find(item => item.x === head.x && item.y === head.y);
+
+  // Create new snake with new head, remove tail if didn't eat food. In zen
+  // a bite cuts the body off at the bitten segment.
+  const body = bitten > 0 ? state.snake.slice(0, bitten + 1) : state.snake;
+  let snake = [head, ...body];
+  let { food, powerUp, effects, score, level, speed } = state;
+  const scoreBefore = score;
+
+  let { learning, choices } = state;
+
+  // Bonus food and right answers grow the snake like regular food
+  const grows = ateFood || (atePowerUp && powerUp.type === 'bonus') || (choice && choice.correct);
+  if (!grows) {
+    snake.pop();
+  }
+  if (bitten > 0) {
+    events.push({ type: 'trim', length: snake.length });
+  }
+
+  if (ateFood) {
+    score += pointsFor(state, 1);
+    const occupied = powerUp ? [...snake, powerUp] : snake;
+    food = generateFood(occupied, config.gridSize, random, state.obstacles);
+    events.push({ type: 'eat', position: head, score });
+  }
+
+  // Learning: a right answer scores and brings up the next question, a
+  // wrong one is taken off the board and costs length or a life
+  if (choice && choice.correct) {
+    score += pointsFor(state, 1);
+    learning = answerRight(config.learning, learning, random);
+    choices = placeChoices({ ...state, powerUp }, snake, learning, random);
+    events.push({ type: 'eat', position: head, score });
+    events.push({ type: 'answer', correct: true, label: choice.label });
+  } else if (choice) {
+    learning = answerWrong(learning, choice.label);
+    choices = choices.filter(item => item !== choice);
+    if (learning.lives === null) {
+      snake = snake.slice(0, Math.max(1, snake.length - LENGTH_PENALTY));
+    }
+    events.push({ type: 'answer', correct: false, label: choice.label });
+  }
+
+  if (atePowerUp) {
+    const result = applyPowerUp(state, snake, powerUp.type);
+    snake = result.snake;
+    effects = result.effects;
+    score += result.points;
+    events.push({ type: 'powerUp', kind: powerUp.type, position: head, score });
+    powerUp = null;
+  }
+
+  if (ateFood) {
+    powerUp = spawnPowerUp({ ...state, powerUp }, snake, food, random);
+  }
+
+  // Power-ups left on the board and effects run out
+  if (powerUp !== null && powerUp.expiresAt <= time) {
+    powerUp = null;
+  }
+  effects = effects.filter(effect => effect.expiresAt > time);
+
+  // Zen keeps the same level and speed all game
+  if (score !== scoreBefore && !zen) {
+    const newLevel = levelForScore(score, config);
+    if (newLevel !== level) {
+      level = newLevel;
+      speed = calculateSpeed(newLevel, config);
+      events.push({ type: 'levelUp', level });
+    }
+  }
+
+  // Survival speeds up with time as well, and walls appear
+  let { obstacles } = state;
+  if (config.mode === 'survival') {
+    speed = survivalSpeed(calculateSpeed(level, config), time);
+    if (survivalWallDue(state.time, time)) {
+      const wall = survivalWallCell(state, snake, food, random);
+      if (wall !== null) {
+        obstacles = [...obstacles, wall];
+        events.push({ type: 'wall', position: wall });
+      }
+    }
+  }
+
+  const nextState = {
+    ...state,
+    snake,
+    food,
+    powerUp,
+    effects,
+    obstacles,
+    learning,
+    choices,
+    score,
+    level,
+    speed,
+    time,
+    tick: state.tick + 1
+  };
+
+  // Learning with lives ends when the last one is gone
+  if (learning && learning.lives === 0) {
+    events.push({ type: 'gameOver', cause: 'lives' });
+    return { state: { ...nextState, gameOver: true }, events };
+  }
+
+  // Time attack ends when the clock runs out
+  if (config.timeLimit && time >= config.timeLimit) {
+    events.push({ type: 'gameOver', cause: 'time' });
+    return { state: { ...nextState, gameOver: true }, events };
+  }
+
+  // Reaching a new level moves the snake to the next map
+  const mapIndex = mapIndexForLevel(level, config);
+  if (mapIndex !== null && mapIndex !== state.mapIndex) {
+    events.push({ type: 'mapChange', map: config.maps[mapIndex] });
+    return { state: enterMap(nextState, mapIndex, random), events };
+  }
+
+  return { state: nextState, events };
+};
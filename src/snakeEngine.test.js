@@ -0,0 +1,162 @@
+import { DEFAULT_CONFIG, changeDirection, createGame, tick } from './snakeEngine';
+import { createRng } from './random';
+import { LEARNING_LIVES } from './learning';
+
+// Plain snake - no power-ups so food is the only thing on the board
+const config = { ...DEFAULT_CONFIG, gridSize: 10, powerUps: false };
+
+const newGame = (overrides = {}, seed = 1) => createGame({ ...config, ...overrides }, createRng(seed));
+
+// Run ticks, returning the last state and every event along the way
+const run = (state, ticks, random = createRng(2)) => {
+  let current = state;
+  const events = [];
+  for (let i = 0; i < ticks && !current.gameOver; i++) {
+    const result = tick(current, random);
+    current = result.state;
+    events.push(...result.events);
+  }
+  return { state: current, events };
+};
+
+describe('createGame', () => {
+  it('starts a one-segment snake in the middle, heading right', () => {
+    const state = newGame();
+    expect(state.snake).toEqual([{ x: 5, y: 5 }]);
+    expect(state.direction).toBe('RIGHT');
+    expect(state.score).toBe(0);
+    expect(state.level).toBe(1);
+  });
+
+  it('places the same food for the same seed', () => {
+    expect(newGame({}, 7).food).toEqual(newGame({}, 7).food);
+    expect(newGame().food).not.toEqual(newGame().snake[0]);
+  });
+});
+
+describe('tick', () => {
+  it('moves the head one cell in the current direction', () => {
+    const state = { ...newGame(), food: { x: 0, y: 0 } };
+    const { state: next, events } = tick(changeDirection(state, 'UP'), createRng(1));
+    expect(next.snake).toEqual([{ x: 5, y: 4 }]);
+    expect(events).toEqual([]);
+  });
+
+  it('ignores a turn back onto the snake', () => {
+    const state = newGame();
+    expect(changeDirection(state, 'LEFT')).toBe(state);
+  });
+
+  it('wraps round the board without walls', () => {
+    const state = { ...newGame(), food: { x: 0, y: 0 } };
+    const { state: next, events } = run(state, 5);
+    expect(next.snake[0]).toEqual({ x: 0, y: 5 });
+    expect(next.gameOver).toBe(false);
+    expect(events).toEqual([]);
+  });
+
+  it('ends the game at the border with walls on', () => {
+    const state = { ...newGame({ walls: true }), food: { x: 0, y: 0 } };
+    const { state: next, events } = run(state, 10);
+    expect(next.gameOver).toBe(true);
+    expect(events).toEqual([{ type: 'gameOver', cause: 'wall' }]);
+  });
+
+  it('ends the game when the snake runs into itself', () => {
+    const state = {
+      ...newGame(),
+      food: { x: 0, y: 0 },
+      snake: [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 4, y: 6 }, { x: 5, y: 6 }, { x: 6, y: 6 }],
+      direction: 'DOWN'
+    };
+    const { state: next, events } = tick(state, createRng(1));
+    expect(next.gameOver).toBe(true);
+    expect(events).toEqual([{ type: 'gameOver', cause: 'self' }]);
+  });
+
+  it('grows and scores when the snake eats, and places new food', () => {
+    const state = { ...newGame(), food: { x: 6, y: 5 } };
+    const { state: next, events } = tick(state, createRng(1));
+    expect(next.snake).toEqual([{ x: 6, y: 5 }, { x: 5, y: 5 }]);
+    expect(next.score).toBe(1);
+    expect(next.food).not.toBeNull();
+    expect(next.snake).not.toContainEqual(next.food);
+    expect(events).toEqual([{ type: 'eat', position: { x: 6, y: 5 }, score: 1 }]);
+  });
+
+  it('levels up and speeds up every pointsPerLevel points', () => {
+    const state = { ...newGame({ pointsPerLevel: 2 }), score: 1, food: { x: 6, y: 5 } };
+    const { state: next, events } = tick(state, createRng(1));
+    expect(next.level).toBe(2);
+    expect(next.speed).toBeLessThan(state.speed);
+    expect(events).toContainEqual({ type: 'levelUp', level: 2 });
+  });
+
+  it('does nothing once the game is over', () => {
+    const state = { ...newGame(), gameOver: true };
+    expect(tick(state, createRng(1))).toEqual({ state, events: [] });
+  });
+});
+
+describe('learning answers', () => {
+  const spelling = (penalty) => ({
+    name: 'Words',
+    subject: 'spelling',
+    level: 'Easy',
+    penalty,
+    questions: [{ word: 'CAT', hint: '' }]
+  });
+
+  // A learning game with one right and one wrong food, the wrong one just
+  // ahead of the snake's head
+  const learningGame = (penalty = 'length', overrides = {}) => ({
+    ...newGame({ mode: 'learning', learning: spelling(penalty) }),
+    choices: [
+      { x: 6, y: 5, label: 'X', correct: false },
+      { x: 5, y: 3, label: 'C', correct: true }
+    ],
+    ...overrides
+  });
+
+  it('scores, grows and moves on to the next letter for a right pick', () => {
+    const state = learningGame('length', { direction: 'UP', choices: [{ x: 5, y: 4, label: 'C', correct: true }] });
+    const { state: next, events } = tick(state, createRng(1));
+    expect(next.snake).toHaveLength(2);
+    expect(next.score).toBe(1);
+    expect(next.learning.step).toBe(1);
+    expect(next.learning.right).toBe(1);
+    expect(next.choices.find(choice => choice.correct).label).toBe('A');
+    expect(events).toEqual([
+      { type: 'eat', position: { x: 5, y: 4 }, score: 1 },
+      { type: 'answer', correct: true, label: 'C' }
+    ]);
+  });
+
+  it('takes a wrong pick off the board and costs length', () => {
+    const snake = [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }, { x: 2, y: 5 }];
+    const { state: next, events } = tick(learningGame('length', { snake }), createRng(1));
+    expect(next.snake).toEqual([{ x: 6, y: 5 }, { x: 5, y: 5 }]);
+    expect(next.score).toBe(0);
+    expect(next.choices).toEqual([{ x: 5, y: 3, label: 'C', correct: true }]);
+    expect(next.learning.missed).toEqual(['X']);
+    expect(events).toEqual([{ type: 'answer', correct: false, label: 'X' }]);
+  });
+
+  it('ends the game when the last life is lost', () => {
+    const state = learningGame('lives');
+    expect(state.learning.lives).toBe(LEARNING_LIVES);
+
+    const { state: next } = tick(state, createRng(1));
+    expect(next.learning.lives).toBe(LEARNING_LIVES - 1);
+    expect(next.snake).toHaveLength(1);
+    expect(next.gameOver).toBe(false);
+
+    const lastLife = learningGame('lives', { learning: { ...state.learning, lives: 1 } });
+    const { state: over, events } = tick(lastLife, createRng(1));
+    expect(over.gameOver).toBe(true);
+    expect(events).toEqual([
+      { type: 'answer', correct: false, label: 'X' },
+      { type: 'gameOver', cause: 'lives' }
+    ]);
+  });
+});
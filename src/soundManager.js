@@ -0,0 +1,274 @@
+// Web Audio sound manager: sampled effects, a procedural music loop, and
+// master/effects/music volumes mixed through gain nodes. Browsers only let
+// audio start after a tap or key press - until then the manager reports
+// itself as blocked and skips sounds instead of queueing them.
+import { POWER_UPS, POWER_UP_TYPES } from './powerUps';
+
+const AUDIO_KEY = 'snakeAudio';
+export const AUDIO_VERSION = 1;
+
+export const VOLUME_CHANNELS = [
+  { id: 'master', label: 'Master' },
+  { id: 'sfx', label: 'Sound effects' },
+  { id: 'music', label: 'Music' }
+];
+
+export const DEFAULT_AUDIO_SETTINGS = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+// Effects by name, each with its own level in the mix
+const SAMPLES = {
+  eat: { url: '/sounds/eat.mp3', volume: 0.3 },
+  levelUp: { url: '/sounds/level-up.mp3', volume: 0.5 },
+  gameOver: { url: '/sounds/game-over.mp3', volume: 0.4 },
+  start: { url: '/sounds/game-start.mp3', volume: 0.4 },
+  ...POWER_UP_TYPES.reduce((all, type) => ({
+    ...all,
+    [`powerUp-${type}`]: { url: `/sounds/powerup-${POWER_UPS[type].sound}.wav`, volume: 0.4 }
+  }), {})
+};
+
+// Every sound file, for the offline cache
+export const SOUND_URLS = Object.keys(SAMPLES).map(name => SAMPLES[name].url);
+
+// Eating again within this much game time continues a combo. Each food in
+// a combo plays the eat sound one step further up a major scale.
+export const COMBO_WINDOW = 3000;
+const COMBO_SCALE = [0, 2, 4, 5, 7, 9, 11, 12];
+
+export const nextCombo = (combo, time) => ({
+  step: combo.lastEatTime !== null && time - combo.lastEatTime <= COMBO_WINDOW
+    ? Math.min(combo.step + 1, COMBO_SCALE.length - 1)
+    : 0,
+  lastEatTime: time
+});
+
+export const NO_COMBO = { step: 0, lastEatTime: null };
+
+// Music tempo in beats per minute - a little faster every level
+export const musicTempo = (level) => Math.min(180, 96 + (level - 1) * 8);
+
+// A 16-step loop of eighth notes as MIDI note numbers (null is a rest)
+const MUSIC_BASS = [48, null, 48, null, 55, null, 53, null, 45, null, 45, null, 53, null, 55, null];
+const MUSIC_LEAD = [72, 76, 79, null, 76, null, 74, 72, 69, 72, 76, null, 74, null, 79, null];
+// How far ahead notes are scheduled, and how often the scheduler wakes up
+const SCHEDULE_AHEAD = 0.1;
+const SCHEDULER_INTERVAL = 25;
+
+const noteFrequency = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+const isVolume = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+export const loadAudioSettings = () => {
+  try {
+    const saved = localStorage.getItem(AUDIO_KEY);
+    if (!saved) return DEFAULT_AUDIO_SETTINGS;
+    const parsed = JSON.parse(saved);
+    if (typeof parsed !== 'object' || parsed === null || parsed.version !== AUDIO_VERSION) {
+      throw new Error('Unknown audio settings format');
+    }
+    // Anything missing or out of range falls back to its default
+    return {
+      master: isVolume(parsed.master) ? parsed.master : DEFAULT_AUDIO_SETTINGS.master,
+      sfx: isVolume(parsed.sfx) ? parsed.sfx : DEFAULT_AUDIO_SETTINGS.sfx,
+      music: isVolume(parsed.music) ? parsed.music : DEFAULT_AUDIO_SETTINGS.music,
+      muted: typeof parsed.muted === 'boolean' ? parsed.muted : DEFAULT_AUDIO_SETTINGS.muted
+    };
+  } catch (error) {
+    // If error in parsing, clear localStorage
+    console.log('Resetting audio settings:', error);
+    localStorage.removeItem(AUDIO_KEY);
+    return DEFAULT_AUDIO_SETTINGS;
+  }
+};
+
+export const saveAudioSettings = (settings) => {
+  localStorage.setItem(AUDIO_KEY, JSON.stringify({ version: AUDIO_VERSION, ...settings }));
+  return settings;
+};
+
+// `onBlockedChange(blocked)` is called whenever the browser starts or stops
+// holding audio back
+export const createSoundManager = (initialSettings, { onBlockedChange = () => {} } = {}) => {
+  let settings = initialSettings;
+  let context = null;
+  let gains = null;
+  const buffers = {};
+  let blocked = false;
+
+  let musicPlaying = false;
+  let tempo = musicTempo(1);
+  let musicStep = 0;
+  let nextNoteTime = 0;
+  let schedulerId = null;
+
+  const setBlocked = (next) => {
+    if (next !== blocked) {
+      blocked = next;
+      onBlockedChange(next);
+    }
+  };
+
+  const applyVolumes = () => {
+    if (!gains) return;
+    const now = context.currentTime;
+    // A short ramp so slider moves don't click
+    gains.master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, 0.02);
+    gains.sfx.gain.setTargetAtTime(settings.sfx, now, 0.02);
+    gains.music.gain.setTargetAtTime(settings.music, now, 0.02);
+  };
+
+  const loadSamples = () => {
+    Object.keys(SAMPLES).forEach(name => {
+      fetch(SAMPLES[name].url)
+        .then(response => response.arrayBuffer())
+        .then(data => context.decodeAudioData(data))
+        .then(buffer => {
+          buffers[name] = buffer;
+        })
+        .catch(error => {
+          console.log('Sound load error:', name, error);
+        });
+    });
+  };
+
+  // The context is made on first use. No Web Audio means no sound at all.
+  const ensureContext = () => {
+    if (context) return true;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+
+    context = new AudioContextClass();
+    gains = {
+      master: context.createGain(),
+      sfx: context.createGain(),
+      music: context.createGain()
+    };
+    gains.sfx.connect(gains.master);
+    gains.music.connect(gains.master);
+    gains.master.connect(context.destination);
+    applyVolumes();
+
+    context.onstatechange = () => setBlocked(context.state === 'suspended');
+    loadSamples();
+    return true;
+  };
+
+  // Call from taps and key presses - the only time browsers let audio start
+  const unlock = () => {
+    if (!ensureContext() || context.state !== 'suspended') return;
+    context.resume().catch(error => {
+      console.log('Audio resume error:', error);
+    });
+  };
+
+  // Play an effect by name. `step` raises the pitch up the combo scale.
+  const play = (name, { step = 0 } = {}) => {
+    if (settings.muted || !ensureContext()) return;
+    if (context.state === 'suspended') {
+      setBlocked(true);
+      unlock();
+      return;
+    }
+    const buffer = buffers[name];
+    if (!buffer) return;
+
+    const source = context.createBufferSource();
+    const level = context.createGain();
+    source.buffer = buffer;
+    source.playbackRate.value = Math.pow(2, COMBO_SCALE[step] / 12);
+    level.gain.value = SAMPLES[name].volume;
+    source.connect(level);
+    level.connect(gains.sfx);
+    source.start();
+  };
+
+  // A short beep that isn't a sample, like the food cues. `pan` runs from
+  // -1 (left) to 1 (right) where stereo panning is supported.
+  const playTone = ({ frequency, volume, pan = 0, length = 0.15 }) => {
+    if (settings.muted || !ensureContext()) return;
+    if (context.state === 'suspended') {
+      setBlocked(true);
+      unlock();
+      return;
+    }
+    const now = context.currentTime;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(volume, now);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + length);
+    oscillator.connect(envelope);
+
+    // Stereo panning isn't everywhere - fall back to a plain tone
+    if (context.createStereoPanner) {
+      const panner = context.createStereoPanner();
+      panner.pan.value = pan;
+      envelope.connect(panner);
+      panner.connect(gains.sfx);
+    } else {
+      envelope.connect(gains.sfx);
+    }
+    oscillator.start(now);
+    oscillator.stop(now + length);
+  };
+
+  const playNote = (note, time, length, type, volume) => {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.value = noteFrequency(note);
+    envelope.gain.setValueAtTime(volume, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + length);
+    oscillator.connect(envelope);
+    envelope.connect(gains.music);
+    oscillator.start(time);
+    oscillator.stop(time + length);
+  };
+
+  // Schedule the notes due in the next few milliseconds. Running on a timer
+  // but timed by the audio clock keeps the beat steady.
+  const scheduleMusic = () => {
+    if (context.state !== 'running') {
+      nextNoteTime = context.currentTime;
+      return;
+    }
+    while (nextNoteTime < context.currentTime + SCHEDULE_AHEAD) {
+      const stepLength = 60 / tempo / 2;
+      if (MUSIC_BASS[musicStep] !== null) {
+        playNote(MUSIC_BASS[musicStep], nextNoteTime, stepLength * 1.8, 'triangle', 0.25);
+      }
+      if (MUSIC_LEAD[musicStep] !== null) {
+        playNote(MUSIC_LEAD[musicStep], nextNoteTime, stepLength * 0.9, 'square', 0.05);
+      }
+      nextNoteTime += stepLength;
+      musicStep = (musicStep + 1) % MUSIC_BASS.length;
+    }
+  };
+
+  const startMusic = () => {
+    if (musicPlaying || !ensureContext()) return;
+    musicPlaying = true;
+    musicStep = 0;
+    nextNoteTime = context.currentTime;
+    schedulerId = setInterval(scheduleMusic, SCHEDULER_INTERVAL);
+  };
+
+  const stopMusic = () => {
+    musicPlaying = false;
+    if (schedulerId !== null) {
+      clearInterval(schedulerId);
+      schedulerId = null;
+    }
+  };
+
+  const setMusicTempo = (bpm) => {
+    tempo = bpm;
+  };
+
+  const setSettings = (next) => {
+    settings = next;
+    applyVolumes();
+  };
+
+  return { play, playTone, unlock, startMusic, stopMusic, setMusicTempo, setSettings };
+};
@@ -0,0 +1,84 @@
+// Color themes. Board, food, walls, panels, overlays and controls are CSS
+// custom properties set per [data-theme] in index.css; the snake palette
+// lives here because it's a list. Canvas drawing reads the same properties.
+import { rainbowColors } from './BoardPieces';
+
+const THEME_KEY = 'snakeTheme';
+
+export const THEMES = {
+  light: {
+    label: 'Light',
+    snakePalette: rainbowColors
+  },
+  dark: {
+    label: 'Dark',
+    // Brighter rainbow - blue and indigo vanish on a dark board
+    snakePalette: ['#FF5252', '#FFAB40', '#FFFF00', '#69F0AE', '#40C4FF', '#B388FF', '#EA80FC']
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    snakePalette: ['#FFFF00', '#00FFFF']
+  },
+  colorblind: {
+    label: 'Colorblind-safe (red/green)',
+    // Okabe-Ito colors that stay apart with deuteranopia and protanopia,
+    // with the orange left out so nothing looks like the food
+    snakePalette: ['#0072B2', '#56B4E9', '#009E73', '#CC79A7']
+  }
+};
+
+// 'system' follows prefers-contrast and prefers-color-scheme
+export const THEME_CHOICES = [
+  { id: 'system', label: 'Match device' },
+  ...Object.keys(THEMES).map(id => ({ id, label: THEMES[id].label }))
+];
+
+// Board background for inline styles - always a gradient so it can be
+// layered under other background images
+export const BOARD_BACKGROUND = 'var(--board-background)';
+
+const matches = (query) => Boolean(window.matchMedia && window.matchMedia(query).matches);
+
+export const systemTheme = () => {
+  if (matches('(prefers-contrast: more)')) return 'high-contrast';
+  if (matches('(prefers-color-scheme: dark)')) return 'dark';
+  return 'light';
+};
+
+export const resolveTheme = (choice) => (Object.keys(THEMES).includes(choice) ? choice : systemTheme());
+
+// Call `onChange` when a device preference the system theme follows changes.
+// Returns a function that stops listening.
+export const watchSystemTheme = (onChange) => {
+  if (!window.matchMedia) return () => {};
+  const queries = ['(prefers-contrast: more)', '(prefers-color-scheme: dark)'].map(query => window.matchMedia(query));
+  // Older Safari only has addListener
+  queries.forEach(query => (query.addEventListener ? query.addEventListener('change', onChange) : query.addListener(onChange)));
+  return () => {
+    queries.forEach(query => (query.removeEventListener ? query.removeEventListener('change', onChange) : query.removeListener(onChange)));
+  };
+};
+
+export const applyTheme = (themeId) => {
+  document.documentElement.setAttribute('data-theme', themeId);
+};
+
+export const loadThemeChoice = () => {
+  const saved = localStorage.getItem(THEME_KEY);
+  if (saved && THEME_CHOICES.some(choice => choice.id === saved)) {
+    return saved;
+  }
+  // If invalid, clear localStorage
+  localStorage.removeItem(THEME_KEY);
+  return 'system';
+};
+
+export const saveThemeChoice = (choice) => {
+  localStorage.setItem(THEME_KEY, choice);
+};
+
+// A theme color from the CSS custom properties, e.g. themeColor('--food')
+export const themeColor = (element, name, fallback) => {
+  const value = window.getComputedStyle(element).getPropertyValue(name).trim();
+  return value || fallback;
+};